@@ -0,0 +1,41 @@
+// One-time import of the contacts kept in data/sheet_data.json into the Contact table;
+// the API doesn't read that file. Rows already in the table are skipped, so running it
+// again is harmless.
+//
+// Usage: npm run import:contacts [-- path/to/sheet_data.json]
+const fs = require('fs');
+const sequelize = require('../src/config/database');
+const Migrations = require('../src/apis/migrations');
+const contactService = require('../src/services/contactService');
+
+// Same file the contacts routes used to read, relative to where the server runs
+const DEFAULT_PATH = './data/sheet_data.json';
+
+sequelize.options.logging = false;
+
+async function main() {
+  const filePath = process.argv[2] || DEFAULT_PATH;
+  const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath} does not contain a list of contacts`);
+  }
+
+  // Same schema setup as server.js
+  await Migrations.run();
+  await sequelize.sync();
+
+  const report = await contactService.importLegacy(records);
+
+  console.log(`Created ${report.created} contacts`);
+  for (const { row, name, reason } of report.skipped) {
+    console.log(`Skipped row ${row}${name ? ` (${name})` : ''}: ${reason}`);
+  }
+}
+
+main()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Import failed:', error.message);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,56 @@
+// One-time import of the enterprises that registered through the Google Form into the
+// Enterprise table. Also links existing Enterprise accounts, stands and interview slots,
+// which used to be keyed by the account id, to their enterprise. Enterprises already in
+// the table are skipped, so running it again is harmless.
+//
+// Reads the registration sheet (config/sheetColumns.js) unless given a JSON file holding
+// a list of rows keyed by question, like the old clean_sheet_data.json export.
+//
+// Usage: npm run import:enterprises [-- path/to/rows.json]
+const fs = require('fs');
+const sequelize = require('../src/config/database');
+const Migrations = require('../src/apis/migrations');
+const enterpriseService = require('../src/services/enterpriseService');
+const { fetchGoogleSheet } = require('../src/apis/GoogleAPI');
+const { sheetId } = require('../src/config/sheetColumns');
+
+sequelize.options.logging = false;
+
+async function readRecords(filePath) {
+  if (!filePath) {
+    const { records, report } = await fetchGoogleSheet(sheetId);
+    for (const { row, errors } of report.failed) {
+      console.log(`Sheet row ${row} not mapped: ${errors.join('; ')}`);
+    }
+    return records;
+  }
+
+  const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath} does not contain a list of enterprises`);
+  }
+  return records;
+}
+
+async function main() {
+  const records = await readRecords(process.argv[2]);
+
+  // Same schema setup as server.js
+  await Migrations.run();
+  await sequelize.sync();
+
+  const report = await enterpriseService.importLegacy(records);
+
+  console.log(`Created ${report.created} enterprises, linked ${report.linkedAccounts} accounts`);
+  for (const { row, name, reason } of report.skipped) {
+    console.log(`Skipped row ${row}${name ? ` (${name})` : ''}: ${reason}`);
+  }
+}
+
+main()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Import failed:', error.message);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
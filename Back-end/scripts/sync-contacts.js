@@ -0,0 +1,47 @@
+// Pulls the Google Form sheet into the contacts: adds new responses and updates the form
+// answers of known ones, keeping their status, result, call count and assignment.
+//
+// Usage: npm run sync:contacts [-- --dry-run]
+const sequelize = require('../src/config/database');
+const Migrations = require('../src/apis/migrations');
+const contactService = require('../src/services/contactService');
+const { fetchGoogleSheet } = require('../src/apis/GoogleAPI');
+const { sheetId } = require('../src/config/sheetColumns');
+
+sequelize.options.logging = false;
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const { records, report } = await fetchGoogleSheet(sheetId);
+
+  // Same schema setup as server.js
+  await Migrations.run();
+  await sequelize.sync();
+
+  const summary = await contactService.sync(records, { dryRun });
+
+  if (dryRun) {
+    console.log('Dry run, nothing was written');
+  }
+  for (const { companyName } of summary.added) {
+    console.log(`Added ${companyName}`);
+  }
+  for (const { companyName, changes } of summary.updated) {
+    console.log(`Updated ${companyName}: ${Object.keys(changes).join(', ')}`);
+  }
+  for (const { companyName, reason } of summary.skipped) {
+    console.log(`Skipped${companyName ? ` ${companyName}` : ''}: ${reason}`);
+  }
+  for (const { row, errors } of report.failed) {
+    console.log(`Sheet row ${row} not mapped: ${errors.join('; ')}`);
+  }
+  console.log(`${summary.added.length} added, ${summary.updated.length} updated, ${summary.unchanged.length} unchanged`);
+}
+
+main()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Sync failed:', error.message);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
@@ -4,7 +4,6 @@ const swaggerSpec = require('./src/config/swagger');
 const routes = require('./src/routes');
 const sequelize = require('./src/config/database');
 const cookieParser = require('cookie-parser');
-const enterpriseQueueRoutes = require('./src/routes/enterprise.queue.routes');
 
 const app = express();
 
@@ -29,7 +28,6 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Mount all routes under /api
 app.use('/api', routes);
-app.use('/api/enterprise', enterpriseQueueRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -47,13 +45,24 @@ const PORT = process.env.PORT || 3000;
 
 async function startServer() {
   try {
-    // Sync all models
+    // Bring tables created by earlier versions up to date, then create missing tables
+    const Migrations = require('./src/apis/migrations');
+    await Migrations.run();
     await sequelize.sync();
     console.log('Database synchronized successfully');
     
+    // Load the QR signing key now, so a bad or unwritable key stops the server here
+    // rather than failing the first check-in
+    require('./src/apis/qrTokens').keys();
+
+    // Store new permissions from the registry with their default roles
+    const Permissions = require('./src/apis/permissions');
+    await Permissions.syncRegistry();
+
     // Create default admin user if it doesn't exist
     const User = require('./src/models/user');
     const Auth = require('./src/apis/auth');
+    const authConfig = require('./src/config/auth');
     
     const adminExists = await User.findOne({
       where: { role: 'Admin' }
@@ -63,6 +72,32 @@ async function startServer() {
       await Auth.register('admin', 'admin123', 'Admin');
       console.log('Default admin user created');
     }
+
+    // Periodically mark called participants who never showed up as no-shows and drop
+    // participants who have been waiting too long
+    const queueService = require('./src/services/queueService');
+    const auditService = require('./src/services/auditService');
+    const queueConfig = require('./src/config/queue');
+    setInterval(() => {
+      queueService.expireStaleEntries()
+        .then(changes => Promise.all(changes.map(({ action, before, entry }) => auditService.record(null, {
+          action,
+          entityType: 'queue_entry',
+          entityId: entry.id,
+          before,
+          after: entry
+        }))))
+        .catch(error => {
+          console.error('Error expiring queue entries:', error);
+        });
+    }, queueConfig.expiryCheckIntervalMs).unref();
+
+    // Periodically purge expired sessions
+    setInterval(() => {
+      Auth.purgeExpiredSessions().catch(error => {
+        console.error('Error purging expired sessions:', error);
+      });
+    }, authConfig.sessionCleanupIntervalMs).unref();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -73,4 +108,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// The tests load the app without starting the server
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -1,59 +1,164 @@
 const fs = require("fs");
+const Csv = require("./csv");
+const { columns } = require("../config/sheetColumns");
+
+// Compared form of a header: case, curly apostrophes, spacing and a trailing colon
+// don't matter
+function normalizeHeader(header) {
+  return header
+    .normalize("NFC")
+    .replace(/[\u2018\u2019\u00b4`]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/\s*:$/, "")
+    .toLowerCase();
+}
+
+const FIELD_BY_HEADER = new Map();
+for (const [field, { headers }] of Object.entries(columns)) {
+  for (const header of [field, ...headers]) {
+    FIELD_BY_HEADER.set(normalizeHeader(header), field);
+  }
+}
+
+// Records of a sheet CSV export keyed by the canonical field names of
+// config/sheetColumns.js, and a report of what didn't map. Rows that aren't valid CSV,
+// have the wrong number of cells, a missing required answer or an answer of the wrong
+// form are left out and listed in report.failed with their sheet row number.
+function parseSheetCsv(text) {
+  const { records: [headerRow = [], ...rows], errors: csvErrors } = Csv.parse(text);
+
+  // CSV errors by sheet row; the header is sheet row 1
+  const csvErrorsByRow = new Map(csvErrors.map(({ record, message }) => [record + 1, [message]]));
+
+  const keys = [];
+  const unmappedColumns = [];
+  for (const header of headerRow) {
+    const field = FIELD_BY_HEADER.get(normalizeHeader(header));
+    if (field && !keys.includes(field)) {
+      keys.push(field);
+    } else {
+      keys.push(header.trim());
+      unmappedColumns.push(header.trim());
+    }
+  }
+
+  const report = {
+    rows: 0,
+    mapped: 0,
+    failed: [],
+    unmappedColumns,
+    missingColumns: Object.keys(columns).filter(field => columns[field].required && !keys.includes(field))
+  };
+  const records = [];
+
+  if (csvErrorsByRow.has(1)) {
+    report.failed.push({ row: 1, errors: csvErrorsByRow.get(1) });
+  }
+
+  rows.forEach((cells, index) => {
+    const row = index + 2;
+    if (csvErrorsByRow.has(row)) {
+      // The cells of the row past the error are lost, so the rest isn't checked
+      report.rows++;
+      report.failed.push({ row, errors: csvErrorsByRow.get(row) });
+      return;
+    }
+    if (cells.every(cell => cell.trim() === "")) {
+      return;
+    }
+    report.rows++;
+
+    const errors = [];
+    if (cells.length !== keys.length) {
+      errors.push(`Expected ${keys.length} cells, found ${cells.length}`);
+    }
+
+    const record = {};
+    keys.forEach((key, i) => {
+      record[key] = (cells[i] || "").trim();
+    });
+
+    for (const [field, { required, pattern }] of Object.entries(columns)) {
+      const value = record[field];
+      if (!value) {
+        if (required) {
+          errors.push(`Missing ${field}`);
+        }
+      } else if (pattern && !pattern.test(value)) {
+        errors.push(`Unexpected value for ${field}: "${value}"`);
+      }
+    }
+
+    if (errors.length) {
+      report.failed.push({ row, errors });
+    } else {
+      records.push(record);
+      report.mapped++;
+    }
+  });
+
+  return { records, report };
+}
+
+function logSheetReport(report) {
+  console.log(`Mapped ${report.mapped} of ${report.rows} sheet rows`);
+  if (report.missingColumns.length) {
+    console.warn(`Missing sheet columns: ${report.missingColumns.join(", ")}`);
+  }
+  for (const { row, errors } of report.failed) {
+    console.warn(`Sheet row ${row} not imported: ${errors.join("; ")}`);
+  }
+}
 
 // Google Sheets JSON URL - adding /edit?usp=sharing to make it public
 const url = "https://docs.google.com/spreadsheets/d/1Yw_L2Oo7Eckx0587PEeFcRvnfIYajgNCuoz88wzR7Eg/edit?usp=sharing";
 
-async function fetchAndSaveGoogleSheet(sheetId, outputPath) {
-  try {
-    const fetch = (await import('node-fetch')).default;
-    
-    // Add DNS check
-    const dns = require('dns');
-    await new Promise((resolve, reject) => {
-      dns.lookup('docs.google.com', (err) => {
-        if (err) {
-          reject(new Error('Cannot resolve docs.google.com. Please check your internet connection.'));
-        }
-        resolve();
-      });
-    });
-    
-    const apiUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
-    
-    const response = await fetch(apiUrl, {
-      timeout: 10000, // Add timeout of 10 seconds
-      headers: {
-        'User-Agent': 'Mozilla/5.0' // Add user agent to prevent potential blocks
+// Records and mapping report of the current sheet export. Throws when the sheet can't be
+// fetched.
+async function fetchGoogleSheet(sheetId) {
+  const fetch = (await import('node-fetch')).default;
+  
+  // Add DNS check
+  const dns = require('dns');
+  await new Promise((resolve, reject) => {
+    dns.lookup('docs.google.com', (err) => {
+      if (err) {
+        reject(new Error('Cannot resolve docs.google.com. Please check your internet connection.'));
       }
+      resolve();
     });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+  });
+  
+  const apiUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
+  
+  const response = await fetch(apiUrl, {
+    timeout: 10000, // Add timeout of 10 seconds
+    headers: {
+      'User-Agent': 'Mozilla/5.0' // Add user agent to prevent potential blocks
     }
-    
-    const text = await response.text();
-    
-    // Split into lines and parse CSV
-    const lines = text.split('\n');
-    const keys = lines[0].split(',').map(key => key.trim().replace(/^"|"$/g, ''));
-    
-    const formattedData = lines.slice(1).map(line => {
-      const values = line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
-      const rowData = {};
-      keys.forEach((key, index) => {
-        rowData[key] = values[index] || '';
-      });
-      return rowData;
-    });
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+  }
+  
+  return parseSheetCsv(await response.text());
+}
+
+async function fetchAndSaveGoogleSheet(sheetId, outputPath) {
+  try {
+    const { records, report } = await fetchGoogleSheet(sheetId);
 
     fs.writeFileSync(
       outputPath, 
-      JSON.stringify(formattedData, null, 2), 
+      JSON.stringify(records, null, 2), 
       "utf8"
     );
     
     console.log(`JSON file saved successfully to ${outputPath}!`);
-    return true;
+    logSheetReport(report);
+    return report;
   } catch (error) {
     console.error("Error fetching or saving data:", error);
     if (error.code === 'ENOTFOUND') {
@@ -63,11 +168,9 @@ async function fetchAndSaveGoogleSheet(sheetId, outputPath) {
   }
 }
 
-// Sheet ID from your Google Sheets URL
-const sheetId = "1Yw_L2Oo7Eckx0587PEeFcRvnfIYajgNCuoz88wzR7Eg";
-fetchAndSaveGoogleSheet(sheetId, "sheet_data.json");
-
 // Export the function
 module.exports = {
-  fetchAndSaveGoogleSheet
+  fetchGoogleSheet,
+  fetchAndSaveGoogleSheet,
+  parseSheetCsv
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/apiToken');
+const User = require('../models/user');
+const Auth = require('./auth');
+const authConfig = require('../config/auth');
+
+const TOKEN_PREFIX = 'hkt_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ApiTokens {
+  static validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const invalid = scopes.filter(scope => !authConfig.apiTokenScopes.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid scopes: ${invalid.join(', ')}`);
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  static async create(userId, { name, scopes, expiresInDays }) {
+    if (!name) {
+      throw new Error('Token name is required');
+    }
+
+    const days = expiresInDays === undefined ? authConfig.apiTokenDefaultTtlDays : Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > authConfig.apiTokenMaxTtlDays) {
+      throw new Error(`expiresInDays must be between 1 and ${authConfig.apiTokenMaxTtlDays}`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const apiToken = await ApiToken.create({
+      userId,
+      name,
+      tokenHash: Auth.hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: ApiTokens.validateScopes(scopes),
+      expiresAt: new Date(Date.now() + days * DAY_MS)
+    });
+
+    // The plain token is only ever returned here
+    return { token, apiToken: ApiTokens.toJSON(apiToken) };
+  }
+
+  static async list(userId) {
+    const tokens = await ApiToken.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+    return tokens.map(ApiTokens.toJSON);
+  }
+
+  static async findForUser(userId, tokenId) {
+    const apiToken = await ApiToken.findOne({ where: { id: tokenId, userId } });
+    if (!apiToken) {
+      throw new Error('Token not found');
+    }
+    return apiToken;
+  }
+
+  static async update(userId, tokenId, { name, scopes }) {
+    const apiToken = await ApiTokens.findForUser(userId, tokenId);
+    if (apiToken.revokedAt) {
+      throw new Error('Token has been revoked');
+    }
+
+    if (name !== undefined) {
+      apiToken.name = name;
+    }
+    if (scopes !== undefined) {
+      apiToken.scopes = ApiTokens.validateScopes(scopes);
+    }
+
+    await apiToken.save();
+    return ApiTokens.toJSON(apiToken);
+  }
+
+  static async revoke(userId, tokenId) {
+    const apiToken = await ApiTokens.findForUser(userId, tokenId);
+    if (!apiToken.revokedAt) {
+      await apiToken.update({ revokedAt: new Date() });
+    }
+  }
+
+  static async authenticate(token) {
+    if (!token.startsWith(TOKEN_PREFIX)) {
+      throw new Error('Invalid token');
+    }
+
+    const apiToken = await ApiToken.findOne({
+      where: { tokenHash: Auth.hashToken(token) },
+      include: User
+    });
+
+    if (!apiToken || apiToken.revokedAt) {
+      throw new Error('Invalid token');
+    }
+
+    if (new Date(apiToken.expiresAt) < new Date()) {
+      throw new Error('Token expired');
+    }
+
+    if (!apiToken.User || apiToken.User.status === 'disabled') {
+      throw new Error('Account disabled');
+    }
+
+    // Avoid a write on every request from a busy kiosk
+    if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt) > 60 * 1000) {
+      await apiToken.update({ lastUsedAt: new Date() });
+    }
+
+    return apiToken;
+  }
+
+  static hasScope(apiToken, resource, access) {
+    return apiToken.scopes.includes(`${resource}:${access}`);
+  }
+
+  static toJSON(apiToken) {
+    const { id, name, tokenPrefix, scopes, expiresAt, lastUsedAt, revokedAt, createdAt } = apiToken;
+    return { id, name, tokenPrefix, scopes, expiresAt, lastUsedAt, revokedAt, createdAt };
+  }
+}
+
+module.exports = ApiTokens;
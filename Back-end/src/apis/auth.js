@@ -2,6 +2,16 @@ const crypto = require('crypto');
 const { Op } = require('sequelize');
 const User = require('../models/user');
 const Session = require('../models/session');
+const UserToken = require('../models/userToken');
+const LoginAttempt = require('../models/loginAttempt');
+const UserPermission = require('../models/userPermission');
+const ApiToken = require('../models/apiToken');
+const sequelize = require('../config/database');
+const emailService = require('../services/emailService');
+const queueService = require('../services/queueService');
+const slotService = require('../services/slotService');
+const contactService = require('../services/contactService');
+const authConfig = require('../config/auth');
 
 class Auth {
   static async hashPassword(password) {
@@ -15,13 +25,22 @@ class Auth {
     return hash === verifyHash;
   }
 
-  static async register(username, password, role) {
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Pass `transaction` to create the account together with other records
+  static async register(username, password, role, { email, status = 'active', enterpriseId, transaction } = {}) {
     // Check if username already exists
-    const existingUser = await User.findOne({ where: { username } });
+    const existingUser = await User.findOne({ where: { username }, transaction });
     if (existingUser) {
       throw new Error('Username already exists');
     }
 
+    if (email && await User.findOne({ where: { email }, transaction })) {
+      throw new Error('Email already in use');
+    }
+
     // Hash password
     const { hash, salt } = await Auth.hashPassword(password);
 
@@ -30,51 +49,185 @@ class Auth {
       username,
       passwordHash: hash,
       salt,
-      role
-    });
+      role,
+      email,
+      status,
+      enterpriseId
+    }, { transaction });
 
     return user.id;
   }
 
-  static async login(username, password) {
+  static async registerParticipant(username, password, email) {
+    if (!email) {
+      throw new Error('Email is required');
+    }
+
+    const userId = await Auth.register(username, password, 'Participant', {
+      email,
+      status: 'pending_verification'
+    });
+
+    await Auth.sendVerificationEmail(await User.findByPk(userId));
+    return userId;
+  }
+
+  static async issueUserToken(userId, purpose, ttlMs) {
+    // Only the most recent link stays valid
+    await UserToken.destroy({
+      where: { userId, purpose, usedAt: null }
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.create({
+      userId,
+      purpose,
+      tokenHash: Auth.hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+  }
+
+  static async sendVerificationEmail(user) {
+    const token = await Auth.issueUserToken(user.id, 'email_verification', authConfig.emailVerificationTtlMs);
+    const verifyUrl = `${authConfig.appUrl}/verify-email?token=${token}`;
+    await emailService.sendVerificationEmail(user, verifyUrl);
+  }
+
+  static async resendVerificationEmail(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.status !== 'pending_verification') {
+      throw new Error('Email address is already verified');
+    }
+
+    const lastToken = await UserToken.findOne({
+      where: { userId, purpose: 'email_verification', usedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+    if (lastToken && Date.now() - new Date(lastToken.createdAt) < authConfig.emailVerificationResendMs) {
+      throw new Error('Please wait a minute before requesting another email');
+    }
+
+    await Auth.sendVerificationEmail(user);
+  }
+
+  static async verifyEmail(token) {
+    if (!token) {
+      throw new Error('Token is required');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const userToken = await UserToken.findOne({
+        where: {
+          tokenHash: Auth.hashToken(token),
+          purpose: 'email_verification',
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() }
+        },
+        transaction
+      });
+
+      if (!userToken) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      const user = await User.findByPk(userToken.userId, { transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await user.update({
+        emailVerifiedAt: new Date(),
+        // Never re-enable an account an admin disabled in the meantime
+        ...(user.status === 'pending_verification' && { status: 'active' })
+      }, { transaction });
+      await userToken.update({ usedAt: new Date() }, { transaction });
+      return user;
+    });
+  }
+
+  static async login(username, password, { ipAddress, userAgent, slidingExpiration = false } = {}) {
+    const attempt = { username, ipAddress, userAgent: userAgent?.slice(0, 512) };
+
+    // Throttle by IP before touching the account at all
+    const ipFailures = await LoginAttempt.count({
+      where: {
+        ipAddress,
+        success: false,
+        createdAt: { [Op.gt]: new Date(Date.now() - authConfig.loginIpWindowMs) }
+      }
+    });
+    if (ipFailures >= authConfig.loginIpMaxFailures) {
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'throttled' });
+      throw Auth.loginError('Too many failed login attempts. Try again later', 429, authConfig.loginIpWindowMs);
+    }
+
     // Find user
     const user = await User.findOne({ where: { username } });
     if (!user) {
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'invalid_credentials' });
       throw new Error('Invalid username or password');
     }
+    attempt.userId = user.id;
+
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'account_locked' });
+      throw Auth.loginError('Account temporarily locked', 423, new Date(user.lockedUntil) - Date.now());
+    }
+
+    const backoffMs = Auth.loginBackoffMs(user);
+    if (backoffMs > 0) {
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'throttled' });
+      throw Auth.loginError('Too many failed login attempts. Try again later', 429, backoffMs);
+    }
 
     // Verify password
     const isValid = await Auth.verifyPassword(password, user.passwordHash, user.salt);
     if (!isValid) {
+      await Auth.recordFailedLogin(user);
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'invalid_credentials' });
       throw new Error('Invalid username or password');
     }
 
+    if (user.status === 'disabled') {
+      await LoginAttempt.create({ ...attempt, success: false, reason: 'account_disabled' });
+      throw new Error('Account disabled');
+    }
+
+    // Accounts with 2FA, or whose role requires it, get a session that is
+    // restricted to the /api/auth/2fa routes until the second factor is verified
+    const twoFactorPending = user.totpEnabled || authConfig.twoFactorRequiredRoles.includes(user.role);
+
+    // With 2FA enabled, failures only start over once the code is verified too
+    if (!user.totpEnabled) {
+      await user.update({ failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+    }
+    await LoginAttempt.create({ ...attempt, success: true, reason: 'success' });
+
     // Clean up expired sessions
-    await Session.destroy({
-      where: {
-        expiresAt: { [Op.lt]: new Date() }
-      }
-    });
+    await Auth.purgeExpiredSessions();
 
     // Create new session
     const session = await Session.create({
       userId: user.id,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      expiresAt: new Date(Date.now() + authConfig.sessionTtlMs),
+      sliding: Boolean(slidingExpiration),
+      lastActivityAt: new Date(),
+      ipAddress,
+      userAgent: attempt.userAgent,
+      twoFactorPending
     });
 
     return {
       sessionId: session.id,
-      sessionCookie: {
-        name: 'sessionId',
-        value: session.id,
-        options: {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          expires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-          path: '/'
-        }
-      },
+      sessionCookie: Auth.sessionCookie(session),
+      twoFactorRequired: twoFactorPending,
+      twoFactorEnrollmentRequired: twoFactorPending && !user.totpEnabled,
       user: {
         id: user.id,
         username: user.username,
@@ -83,20 +236,250 @@ class Auth {
     };
   }
 
+  static loginError(message, status, retryAfterMs) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = Math.ceil(retryAfterMs / 1000);
+    return error;
+  }
+
+  // Time the account still has to wait before another attempt is accepted
+  static loginBackoffMs(user) {
+    const excess = user.failedLoginAttempts - authConfig.loginBackoffAfter;
+    if (excess < 0 || !user.lastFailedLoginAt) {
+      return 0;
+    }
+
+    const delay = Math.min(authConfig.loginBackoffBaseMs * 2 ** excess, authConfig.loginBackoffMaxMs);
+    return Math.max(0, new Date(user.lastFailedLoginAt).getTime() + delay - Date.now());
+  }
+
+  // Counts a failed attempt against the account and locks it once the threshold is reached.
+  // Both steps are single UPDATEs, so concurrent failures all count and only one of them
+  // takes the lock. Returns whether the account got locked.
+  static async recordFailedLogin(user) {
+    await User.update({
+      failedLoginAttempts: sequelize.literal('failedLoginAttempts + 1'),
+      lastFailedLoginAt: new Date()
+    }, { where: { id: user.id } });
+
+    // The counter starts over once the lock has expired
+    const [locked] = await User.update({
+      failedLoginAttempts: 0,
+      lockedUntil: new Date(Date.now() + authConfig.loginLockoutMs)
+    }, {
+      where: {
+        id: user.id,
+        failedLoginAttempts: { [Op.gte]: authConfig.loginLockoutThreshold }
+      }
+    });
+
+    return locked > 0;
+  }
+
+  static async unlockUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await user.update({ failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+    return user;
+  }
+
+  static sessionCookie(session) {
+    return {
+      name: 'sessionId',
+      value: session.id,
+      options: {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        expires: session.expiresAt,
+        path: '/'
+      }
+    };
+  }
+
+  // Records activity on a session and, for sliding sessions, pushes back its expiry.
+  // Returns true when the expiry changed and the cookie needs to be sent again.
+  static async touchSession(session) {
+    const now = Date.now();
+    if (session.lastActivityAt && now - new Date(session.lastActivityAt) < authConfig.sessionTouchIntervalMs) {
+      return false;
+    }
+
+    const updates = { lastActivityAt: new Date(now) };
+    if (session.sliding) {
+      const maxExpiry = new Date(session.createdAt).getTime() + authConfig.sessionMaxAgeMs;
+      updates.expiresAt = new Date(Math.min(now + authConfig.sessionTtlMs, maxExpiry));
+    }
+
+    await session.update(updates);
+    return Boolean(updates.expiresAt);
+  }
+
+  static async purgeExpiredSessions() {
+    return Session.destroy({
+      where: {
+        expiresAt: { [Op.lt]: new Date() }
+      }
+    });
+  }
+
+  static async listSessions(userId) {
+    return Session.findAll({
+      where: {
+        userId,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'createdAt', 'lastActivityAt', 'expiresAt', 'sliding', 'ipAddress', 'userAgent'],
+      order: [['lastActivityAt', 'DESC']]
+    });
+  }
+
+  static async revokeSession(userId, sessionId) {
+    const deleted = await Session.destroy({ where: { id: sessionId, userId } });
+    if (!deleted) {
+      throw new Error('Session not found');
+    }
+  }
+
+  static async revokeOtherSessions(userId, currentSessionId) {
+    return Session.destroy({
+      where: {
+        userId,
+        id: { [Op.ne]: currentSessionId }
+      }
+    });
+  }
+
   static async logout(sessionId) {
     await Session.destroy({
       where: { id: sessionId }
     });
   }
 
+  static async requestPasswordReset(identifier) {
+    const user = await User.findOne({
+      where: {
+        [Op.or]: [{ username: identifier }, { email: identifier }]
+      }
+    });
+
+    // Stay silent about unknown accounts so the endpoint can't be used to enumerate users
+    if (!user || !user.email) {
+      return;
+    }
+
+    const token = await Auth.issueUserToken(user.id, 'password_reset', authConfig.passwordResetTtlMs);
+    const resetUrl = `${authConfig.appUrl}/reset-password?token=${token}`;
+    await emailService.sendPasswordResetEmail(user, resetUrl);
+  }
+
+  static async resetPassword(token, newPassword) {
+    if (!token || !newPassword) {
+      throw new Error('Token and new password are required');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const userToken = await UserToken.findOne({
+        where: {
+          tokenHash: Auth.hashToken(token),
+          purpose: 'password_reset',
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() }
+        },
+        transaction
+      });
+
+      if (!userToken) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      const user = await User.findByPk(userToken.userId, { transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const { hash, salt } = await Auth.hashPassword(newPassword);
+      await user.update({ passwordHash: hash, salt }, { transaction });
+      await userToken.update({ usedAt: new Date() }, { transaction });
+
+      // Force every device to log in again with the new password
+      await Session.destroy({ where: { userId: user.id }, transaction });
+      return user;
+    });
+  }
+
   static async changeUserRole(userId, newRole) {
     const user = await User.findByPk(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    user.role = newRole;
-    await user.save();
+    const previousRole = user.role;
+    // Sessions opened without a second factor must not carry over into a role that needs
+    // one; the next login then asks for enrollment
+    const needsTwoFactor = !user.totpEnabled
+      && authConfig.twoFactorRequiredRoles.includes(newRole)
+      && !authConfig.twoFactorRequiredRoles.includes(previousRole);
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ role: newRole }, { transaction });
+
+      if (needsTwoFactor) {
+        await Session.destroy({ where: { userId }, transaction });
+      }
+    });
+
+    return previousRole;
+  }
+
+  static async setUserDisabled(userId, disabled) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // A participant re-enabled before verifying their email address still has to verify it
+    let status = 'active';
+    if (disabled) {
+      status = 'disabled';
+    } else if (user.role === 'Participant' && !user.emailVerifiedAt) {
+      status = 'pending_verification';
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ status }, { transaction });
+
+      if (disabled) {
+        await Session.destroy({ where: { userId }, transaction });
+      }
+    });
+
+    return user;
+  }
+
+  static async deleteUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Runs in the queue transaction so the stand and slot counters stay in step
+    await queueService.exclusive(async (transaction) => {
+      await queueService.leaveAll(userId, transaction);
+      await slotService.removeBookings(userId, transaction);
+      await Session.destroy({ where: { userId }, transaction });
+      await UserToken.destroy({ where: { userId }, transaction });
+      await UserPermission.destroy({ where: { userId }, transaction });
+      await ApiToken.destroy({ where: { userId }, transaction });
+      await contactService.unassignAll(userId, transaction);
+      await user.destroy({ transaction });
+    });
+
+    return user;
   }
 
   static async validateSession(sessionId) {
@@ -118,6 +501,10 @@ class Auth {
       throw new Error('User not found');
     }
 
+    if (user.status === 'disabled') {
+      throw new Error('Account disabled');
+    }
+
     return {
       id: user.id,
       username: user.username,
@@ -1,33 +1,102 @@
 const Session = require('../models/session');
 const User = require('../models/user');
+const ApiTokens = require('./apiTokens');
+const Auth = require('./auth');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+async function authenticateApiToken(req, res, next, token) {
+  let apiToken;
+  try {
+    apiToken = await ApiTokens.authenticate(token);
+  } catch (err) {
+    return res.status(401).json({ error: err.message });
+  }
+
+  // Scopes are named after the API area, e.g. /api/queues/... needs queues:read or queues:write
+  const resource = req.baseUrl.split('/')[2];
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  if (resource === 'auth') {
+    // Tokens must not be able to mint new tokens or manage the account
+    return res.status(403).json({ error: 'API tokens cannot be used for account management' });
+  }
+  if (!ApiTokens.hasScope(apiToken, resource, access)) {
+    return res.status(403).json({ error: `API token is missing the ${resource}:${access} scope` });
+  }
+
+  req.user = apiToken.User;
+  req.apiToken = apiToken;
+  next();
+}
+
+async function authenticate(req, res, next, { allowPendingTwoFactor }) {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith('Bearer ')) {
+    return authenticateApiToken(req, res, next, authorization.slice('Bearer '.length).trim());
+  }
 
-async function authMiddleware(req, res, next) {
   const sessionId = req.headers.cookie?.split('; ').find(row => row.startsWith('sessionId='))?.split('=')[1];
-  
+
   if (!sessionId) {
     return res.status(401).json({ error: 'No session provided' });
   }
 
   try {
-    const session = await Session.findOne({ 
+    const session = await Session.findOne({
       where: { id: sessionId },
       include: User
     });
-    
+
     if (!session) {
       return res.status(401).json({ error: 'Invalid session' });
     }
-    
+
     if (new Date(session.expiresAt) < new Date()) {
       await session.destroy();
       return res.status(401).json({ error: 'Session expired' });
     }
-    
+
+    if (!session.User) {
+      await session.destroy();
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (session.User.status === 'disabled') {
+      await session.destroy();
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    if (session.twoFactorPending && !allowPendingTwoFactor) {
+      return res.status(401).json({
+        error: session.User.totpEnabled
+          ? 'Two-factor verification required'
+          : 'Two-factor authentication must be set up for this account',
+        twoFactorRequired: true
+      });
+    }
+
+    if (await Auth.touchSession(session)) {
+      const cookie = Auth.sessionCookie(session);
+      res.cookie(cookie.name, cookie.value, cookie.options);
+    }
+
     req.user = session.User;
+    req.sessionId = session.id;
+    req.twoFactorPending = session.twoFactorPending;
     next();
   } catch (err) {
     res.status(401).json({ error: 'Authentication failed' });
   }
 }
 
-module.exports = authMiddleware; 
\ No newline at end of file
+function authMiddleware(req, res, next) {
+  return authenticate(req, res, next, { allowPendingTwoFactor: false });
+}
+
+// For the routes a session must reach before its second factor is verified:
+// 2FA enrollment and verification, and logout
+authMiddleware.allowPendingTwoFactor = (req, res, next) => {
+  return authenticate(req, res, next, { allowPendingTwoFactor: true });
+};
+
+module.exports = authMiddleware;
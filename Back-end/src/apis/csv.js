@@ -0,0 +1,89 @@
+// CSV as described by RFC 4180. Fields are separated by commas and records by line
+// breaks; a field in double quotes may contain commas, line breaks and quotes written
+// twice (""). LF and lone CR line breaks are accepted as well as CRLF.
+class Csv {
+  // Records of a CSV text, each a list of field strings. A line break at the end of the
+  // text doesn't start another record. A record with text after a closing quote is kept
+  // up to that quote and listed in `errors` with its index in `records`; the rest of its
+  // line is skipped.
+  static parse(text) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const records = [];
+    const errors = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let i = 0;
+
+    const endField = () => {
+      record.push(field);
+      field = '';
+    };
+    const endRecord = () => {
+      endField();
+      records.push(record);
+      record = [];
+    };
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        if (char === '"') {
+          quoted = false;
+          i++;
+          const next = input[i];
+          if (next !== undefined && next !== ',' && next !== '\r' && next !== '\n') {
+            errors.push({
+              record: records.length,
+              line,
+              message: `Unexpected character after closing quote on line ${line}`
+            });
+            while (i < input.length && input[i] !== '\r' && input[i] !== '\n') {
+              i++;
+            }
+          }
+          continue;
+        }
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+        i++;
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRecord();
+        line++;
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+      } else {
+        field += char;
+      }
+      i++;
+    }
+
+    if (quoted) {
+      throw new Error(`Unterminated quoted field at the end of the text (line ${line})`);
+    }
+    if (field !== '' || record.length) {
+      endRecord();
+    }
+
+    return { records, errors };
+  }
+}
+
+module.exports = Csv;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATIONS_TABLE = 'SchemaMigrations';
+
+// Schema changes for databases created by an earlier version. sequelize.sync() creates
+// missing tables but never changes existing ones, so every column added to an existing
+// model comes with a migration in src/migrations. Migrations run in file name order before
+// sync(), each one once; SchemaMigrations keeps the names of those that ran.
+//
+// The helpers below look at the current schema first: a table that doesn't exist yet is
+// left to sync(), which creates it complete, and a migration interrupted halfway can run
+// again.
+class Migrations {
+  static async run() {
+    const queryInterface = sequelize.getQueryInterface();
+
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes(MIGRATIONS_TABLE)) {
+      await queryInterface.createTable(MIGRATIONS_TABLE, {
+        name: {
+          type: DataTypes.STRING,
+          primaryKey: true
+        },
+        runAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        }
+      });
+    }
+
+    const [rows] = await sequelize.query(`SELECT name FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Set(rows.map(row => row.name));
+
+    const names = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.js'))
+      .map(file => path.basename(file, '.js'))
+      .sort();
+
+    for (const name of names) {
+      if (applied.has(name)) {
+        continue;
+      }
+
+      await require(path.join(MIGRATIONS_DIR, name)).up(queryInterface);
+      await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name, runAt: new Date() }]);
+      console.log(`Applied migration ${name}`);
+    }
+  }
+
+  static async tableExists(table) {
+    const tables = await sequelize.getQueryInterface().showAllTables();
+    return tables.includes(table);
+  }
+
+  // Adds the columns the table doesn't have yet
+  static async addColumns(table, columns) {
+    if (!(await this.tableExists(table))) {
+      return;
+    }
+
+    const queryInterface = sequelize.getQueryInterface();
+    const existing = await queryInterface.describeTable(table);
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing[column]) {
+        await queryInterface.addColumn(table, column, definition);
+      }
+    }
+  }
+
+  static async renameColumn(table, from, to) {
+    if (!(await this.tableExists(table))) {
+      return;
+    }
+
+    const existing = await sequelize.getQueryInterface().describeTable(table);
+    if (existing[from] && !existing[to]) {
+      // SQLite renames in place, keeping the column's references
+      await sequelize.query(`ALTER TABLE \`${table}\` RENAME COLUMN \`${from}\` TO \`${to}\``);
+    }
+  }
+
+  static async addIndex(table, fields, { name, unique = false }) {
+    if (!(await this.tableExists(table))) {
+      return;
+    }
+
+    const queryInterface = sequelize.getQueryInterface();
+    const indexes = await queryInterface.showIndex(table);
+    if (!indexes.some(index => index.name === name)) {
+      await queryInterface.addIndex(table, fields, { name, unique });
+    }
+  }
+}
+
+module.exports = Migrations;
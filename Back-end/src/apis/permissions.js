@@ -0,0 +1,166 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Permission = require('../models/permission');
+const RolePermission = require('../models/rolePermission');
+const UserPermission = require('../models/userPermission');
+const User = require('../models/user');
+const registry = require('../config/permissions');
+
+const ROLES = ['Admin', 'Organizer', 'Participant', 'Enterprise'];
+
+class Permissions {
+  // Stores new permissions from the registry with their default roles, and drops
+  // permissions that no longer exist in code. Existing role mappings are left alone.
+  static async syncRegistry() {
+    const names = registry.map(permission => permission.name);
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { name, description, roles } of registry) {
+        const [, created] = await Permission.findOrCreate({
+          where: { name },
+          defaults: { description },
+          transaction
+        });
+
+        if (created) {
+          await RolePermission.bulkCreate(
+            roles.map(role => ({ role, permission: name })),
+            { transaction }
+          );
+        } else {
+          await Permission.update({ description }, { where: { name }, transaction });
+        }
+      }
+
+      const stale = { permission: { [Op.notIn]: names } };
+      await RolePermission.destroy({ where: stale, transaction });
+      await UserPermission.destroy({ where: stale, transaction });
+      await Permission.destroy({ where: { name: { [Op.notIn]: names } }, transaction });
+    });
+  }
+
+  // Effective permissions of a user: those of their role plus individual grants
+  static async forUser(user) {
+    const [rolePermissions, userPermissions] = await Promise.all([
+      RolePermission.findAll({ where: { role: user.role }, attributes: ['permission'] }),
+      UserPermission.findAll({ where: { userId: user.id }, attributes: ['permission'] })
+    ]);
+
+    return new Set([...rolePermissions, ...userPermissions].map(row => row.permission));
+  }
+
+  // Loads the permissions of req.user once per request
+  static async forRequest(req) {
+    if (!req.permissions) {
+      req.permissions = await Permissions.forUser(req.user);
+    }
+    return req.permissions;
+  }
+
+  static async has(req, permission) {
+    const permissions = await Permissions.forRequest(req);
+    return permissions.has(permission);
+  }
+
+  static async list() {
+    const [permissions, rolePermissions] = await Promise.all([
+      Permission.findAll({ order: [['name', 'ASC']] }),
+      RolePermission.findAll()
+    ]);
+
+    return permissions.map(permission => ({
+      name: permission.name,
+      description: permission.description,
+      roles: rolePermissions
+        .filter(row => row.permission === permission.name)
+        .map(row => row.role)
+    }));
+  }
+
+  static async forRoles() {
+    const rolePermissions = await RolePermission.findAll({ order: [['permission', 'ASC']] });
+
+    const result = {};
+    ROLES.forEach(role => {
+      result[role] = rolePermissions.filter(row => row.role === role).map(row => row.permission);
+    });
+    return result;
+  }
+
+  static async assertExist(names) {
+    const found = await Permission.count({ where: { name: { [Op.in]: names } } });
+    if (found !== new Set(names).size) {
+      const known = registry.map(permission => permission.name);
+      const unknown = names.filter(name => !known.includes(name));
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+  }
+
+  static async setRolePermissions(role, names) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+    if (!Array.isArray(names)) {
+      throw new Error('permissions must be an array');
+    }
+
+    // Keep at least one way to undo a mistake
+    if (role === 'Admin' && !names.includes('permissions:manage')) {
+      throw new Error('The Admin role must keep the permissions:manage permission');
+    }
+
+    await Permissions.assertExist(names);
+
+    await sequelize.transaction(async (transaction) => {
+      await RolePermission.destroy({ where: { role }, transaction });
+      await RolePermission.bulkCreate(
+        [...new Set(names)].map(permission => ({ role, permission })),
+        { transaction }
+      );
+    });
+  }
+
+  static async forUserDetails(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [rolePermissions, userPermissions] = await Promise.all([
+      RolePermission.findAll({ where: { role: user.role } }),
+      UserPermission.findAll({ where: { userId } })
+    ]);
+
+    const fromRole = rolePermissions.map(row => row.permission);
+    const granted = userPermissions.map(row => row.permission);
+
+    return {
+      role: user.role,
+      rolePermissions: fromRole,
+      grantedPermissions: granted,
+      effectivePermissions: [...new Set([...fromRole, ...granted])].sort()
+    };
+  }
+
+  static async grantToUser(userId, permission, grantedBy) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await Permissions.assertExist([permission]);
+    await UserPermission.findOrCreate({
+      where: { userId, permission },
+      defaults: { grantedBy }
+    });
+  }
+
+  static async revokeFromUser(userId, permission) {
+    const deleted = await UserPermission.destroy({ where: { userId, permission } });
+    if (!deleted) {
+      throw new Error('Permission not granted to this user');
+    }
+  }
+}
+
+module.exports = Permissions;
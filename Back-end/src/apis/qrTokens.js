@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const queueConfig = require('../config/queue');
+
+// Signed check-in payloads shown as a QR code by the participant app and scanned at the
+// stand. A token is "<payload>.<signature>", both base64url, where the payload names the
+// queue entry, the participant and the stand it was issued for, and the signature is
+// Ed25519 over the payload. Stand apps can verify tokens offline with the public key.
+const TOKEN_VERSION = 1;
+
+let keys = null;
+
+class QrTokens {
+  // Uses the PEM private key in QR_SIGNING_KEY, or else the one in
+  // queueConfig.qrSigningKeyFile, generated the first time. Either way the key, and so the
+  // issued tokens and the published public key, outlive a restart.
+  static keys() {
+    if (!keys) {
+      const privateKey = crypto.createPrivateKey(QrTokens.signingKeyPem());
+      const publicKey = crypto.createPublicKey(privateKey);
+      const der = publicKey.export({ type: 'spki', format: 'der' });
+      keys = {
+        privateKey,
+        publicKey,
+        keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16)
+      };
+    }
+    return keys;
+  }
+
+  static signingKeyPem() {
+    if (process.env.QR_SIGNING_KEY) {
+      return process.env.QR_SIGNING_KEY.replace(/\\n/g, '\n');
+    }
+
+    const file = queueConfig.qrSigningKeyFile;
+    if (fs.existsSync(file)) {
+      return fs.readFileSync(file, 'utf8');
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    try {
+      // wx: when two processes start together, both keep the key written first
+      fs.writeFileSync(file, pem, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return fs.readFileSync(file, 'utf8');
+      }
+      throw error;
+    }
+    console.warn(`QR_SIGNING_KEY is not set, generated a QR signing key in ${file}`);
+    return pem;
+  }
+
+  static publicKey() {
+    const { publicKey, keyId } = QrTokens.keys();
+    return {
+      algorithm: 'Ed25519',
+      keyId,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  static issue(entry) {
+    const { privateKey, keyId } = QrTokens.keys();
+    const now = Date.now();
+
+    const payload = {
+      v: TOKEN_VERSION,
+      kid: keyId,
+      e: entry.id,
+      u: entry.userId,
+      s: entry.standQueueId,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + queueConfig.qrTokenTtlMs) / 1000)
+    };
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(encoded), privateKey).toString('base64url');
+
+    return {
+      token: `${encoded}.${signature}`,
+      expiresAt: new Date(payload.exp * 1000)
+    };
+  }
+
+  // Returns the payload of a valid token issued for the given stand, or throws
+  static verify(token, standQueueId) {
+    const [encoded, signature, extra] = String(token || '').split('.');
+    if (!encoded || !signature || extra !== undefined) {
+      throw new Error('Invalid QR code');
+    }
+
+    const { publicKey } = QrTokens.keys();
+    if (!crypto.verify(null, Buffer.from(encoded), publicKey, Buffer.from(signature, 'base64url'))) {
+      throw new Error('Invalid QR code');
+    }
+
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    if (payload.v !== TOKEN_VERSION) {
+      throw new Error('Invalid QR code');
+    }
+    if (payload.exp * 1000 < Date.now()) {
+      throw new Error('This QR code has expired, ask the participant to refresh it');
+    }
+    if (payload.s !== standQueueId) {
+      throw new Error('This QR code was issued for another stand');
+    }
+
+    return payload;
+  }
+}
+
+module.exports = QrTokens;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Auth = require('./auth');
+const totp = require('./totp');
+const authConfig = require('../config/auth');
+
+class TwoFactor {
+  static isRequired(user) {
+    return authConfig.twoFactorRequiredRoles.includes(user.role);
+  }
+
+  static generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < authConfig.twoFactorBackupCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+  }
+
+  static hashBackupCode(code) {
+    return Auth.hashToken(String(code).trim().toLowerCase());
+  }
+
+  static async setup(userId) {
+    const user = await User.findByPk(userId);
+    if (user.totpEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    // The secret only becomes active once a first code has been confirmed in enable()
+    const secret = totp.generateSecret();
+    await user.update({ totpSecret: secret });
+
+    return {
+      secret,
+      otpauthUri: totp.provisioningUri(secret, user.username, authConfig.twoFactorIssuer)
+    };
+  }
+
+  static async enable(userId, code, sessionId) {
+    const user = await User.findByPk(userId);
+    if (user.totpEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.totpSecret) {
+      throw new Error('Call /api/auth/2fa/setup first');
+    }
+
+    const step = totp.verifyCode(user.totpSecret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const backupCodes = TwoFactor.generateBackupCodes();
+    await user.update({
+      totpEnabled: true,
+      totpLastUsedStep: step,
+      totpBackupCodes: backupCodes.map(TwoFactor.hashBackupCode)
+    });
+
+    // Enrolling proves possession of the second factor for the current session
+    if (sessionId) {
+      await Session.update({ twoFactorPending: false, twoFactorFailures: 0 }, { where: { id: sessionId } });
+    }
+
+    return backupCodes;
+  }
+
+  // Checks a TOTP code or, failing that, a backup code. Backup codes are single use.
+  static async checkCode(user, { code, backupCode }) {
+    if (!user.totpEnabled) {
+      return false;
+    }
+
+    if (code) {
+      const step = totp.verifyCode(user.totpSecret, code);
+      if (step === null || (user.totpLastUsedStep !== null && step <= user.totpLastUsedStep)) {
+        return false;
+      }
+      await user.update({ totpLastUsedStep: step });
+      return true;
+    }
+
+    if (backupCode) {
+      const hash = TwoFactor.hashBackupCode(backupCode);
+      const remaining = user.totpBackupCodes || [];
+      if (!remaining.includes(hash)) {
+        return false;
+      }
+      await user.update({ totpBackupCodes: remaining.filter(h => h !== hash) });
+      return true;
+    }
+
+    return false;
+  }
+
+  static async verifySession(sessionId, { code, backupCode }) {
+    const session = await Session.findByPk(sessionId, { include: User });
+    if (!session.twoFactorPending) {
+      throw new Error('This session is already verified');
+    }
+    if (!session.User.totpEnabled) {
+      throw new Error('Two-factor authentication must be set up first');
+    }
+
+    const user = session.User;
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await session.destroy();
+      throw Auth.loginError('Account temporarily locked', 423, new Date(user.lockedUntil) - Date.now());
+    }
+    const backoffMs = Auth.loginBackoffMs(user);
+    if (backoffMs > 0) {
+      throw Auth.loginError('Too many failed attempts. Try again later', 429, backoffMs);
+    }
+
+    if (await TwoFactor.checkCode(user, { code, backupCode })) {
+      await session.update({ twoFactorPending: false, twoFactorFailures: 0 });
+      await user.update({ failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+      return;
+    }
+
+    // Wrong codes count towards the account lockout like wrong passwords, so logging in
+    // again doesn't buy more guesses
+    if (await Auth.recordFailedLogin(user)) {
+      await Session.destroy({ where: { userId: user.id, twoFactorPending: true } });
+      throw Auth.loginError('Account temporarily locked', 423, authConfig.loginLockoutMs);
+    }
+
+    const twoFactorFailures = session.twoFactorFailures + 1;
+    if (twoFactorFailures >= authConfig.twoFactorMaxFailures) {
+      await session.destroy();
+      throw new Error('Too many invalid codes. Please log in again');
+    }
+
+    await session.update({ twoFactorFailures });
+    throw new Error('Invalid verification code');
+  }
+
+  static async disable(userId, { password, code, backupCode }) {
+    const user = await User.findByPk(userId);
+    if (TwoFactor.isRequired(user)) {
+      throw new Error(`Two-factor authentication is mandatory for the ${user.role} role`);
+    }
+    if (!user.totpEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const isValid = await Auth.verifyPassword(password || '', user.passwordHash, user.salt);
+    if (!isValid || !(await TwoFactor.checkCode(user, { code, backupCode }))) {
+      throw new Error('Invalid password or verification code');
+    }
+
+    await TwoFactor.reset(user);
+  }
+
+  static async regenerateBackupCodes(userId, code) {
+    const user = await User.findByPk(userId);
+    if (!(await TwoFactor.checkCode(user, { code }))) {
+      throw new Error('Invalid verification code');
+    }
+
+    const backupCodes = TwoFactor.generateBackupCodes();
+    await user.update({ totpBackupCodes: backupCodes.map(TwoFactor.hashBackupCode) });
+    return backupCodes;
+  }
+
+  // Removes 2FA from an account, e.g. when an admin helps a user who lost their phone.
+  // Accounts whose role requires 2FA will be asked to enroll again at next login.
+  static async reset(user) {
+    await user.update({
+      totpEnabled: false,
+      totpSecret: null,
+      totpLastUsedStep: null,
+      totpBackupCodes: []
+    });
+  }
+}
+
+module.exports = TwoFactor;
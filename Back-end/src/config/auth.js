@@ -0,0 +1,57 @@
+module.exports = {
+  // Lifetime of a login session. Sliding sessions get this much time again after each
+  // request, but never live longer than sessionMaxAgeMs in total.
+  sessionTtlMs: 24 * 60 * 60 * 1000, // 24 hours
+  sessionMaxAgeMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+  // Minimum time between two lastActivityAt writes for the same session
+  sessionTouchIntervalMs: 60 * 1000, // 1 minute
+
+  // How often expired sessions are purged from the database
+  sessionCleanupIntervalMs: 60 * 60 * 1000, // 1 hour
+
+  // Lifetime of an emailed password reset link
+  passwordResetTtlMs: 30 * 60 * 1000, // 30 minutes
+
+  // Lifetime of an emailed verification link, and the minimum delay between two resends
+  emailVerificationTtlMs: 48 * 60 * 60 * 1000, // 48 hours
+  emailVerificationResendMs: 60 * 1000, // 1 minute
+
+  // API tokens: default and maximum lifetime, and the scopes they can be granted.
+  // A scope is "<resource>:<read|write>" where resource is the first path segment after /api.
+  apiTokenDefaultTtlDays: 90,
+  apiTokenMaxTtlDays: 365,
+  apiTokenScopes: [
+    'contacts:read', 'contacts:write',
+    'enterprise:read', 'enterprise:write',
+    'queues:read', 'queues:write',
+    'users:read', 'users:write',
+    'feedback:read', 'feedback:write',
+    'permissions:read', 'permissions:write',
+    'audit-logs:read',
+    'slots:read', 'slots:write'
+  ],
+
+  // Login throttling. After loginBackoffAfter consecutive failures an account must wait
+  // loginBackoffBaseMs, doubling with each further failure, before the next attempt.
+  // After loginLockoutThreshold failures it is locked for loginLockoutMs.
+  loginBackoffAfter: 3,
+  loginBackoffBaseMs: 1000, // 1 second
+  loginBackoffMaxMs: 60 * 1000, // 1 minute
+  loginLockoutThreshold: 8,
+  loginLockoutMs: 15 * 60 * 1000, // 15 minutes
+
+  // Failed attempts allowed from a single IP address within loginIpWindowMs
+  loginIpMaxFailures: 30,
+  loginIpWindowMs: 15 * 60 * 1000, // 15 minutes
+
+  // Two-factor authentication. Roles listed here must enroll before they can use the API.
+  twoFactorRequiredRoles: ['Admin'],
+  twoFactorIssuer: process.env.TOTP_ISSUER || 'S2EE',
+  twoFactorBackupCodeCount: 10,
+  // Wrong codes allowed on a pending session before it is destroyed
+  twoFactorMaxFailures: 5,
+
+  // Base URL of the front-end, used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:5173'
+};
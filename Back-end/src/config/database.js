@@ -2,7 +2,8 @@ const { Sequelize } = require('sequelize');
 
 const sequelize = new Sequelize({
   dialect: 'sqlite',
-  storage: './database.sqlite'
+  // Relative to where the server runs; the tests use an in-memory database
+  storage: process.env.DB_STORAGE || './database.sqlite'
 });
 
 module.exports = sequelize; 
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Registry of every permission checked by the API. On startup each permission is stored in
+// the database; a permission seen for the first time is granted to its default roles. After
+// that, role mappings are managed through /api/permissions and never overwritten from here.
+module.exports = [
+  // Users and access control
+  { name: 'users:read', description: 'List and view user accounts, locked accounts and login attempts', roles: ['Admin'] },
+  { name: 'users:manage', description: 'Disable, re-enable and unlock user accounts', roles: ['Admin'] },
+  { name: 'users:delete', description: 'Delete user accounts', roles: ['Admin'] },
+  { name: 'users:change-role', description: 'Change the role of a user', roles: ['Admin'] },
+  { name: 'users:reset-2fa', description: 'Reset the two-factor authentication of a user', roles: ['Admin'] },
+  { name: 'permissions:manage', description: 'Change role permissions and grant permissions to individual users', roles: ['Admin'] },
+  { name: 'audit:read', description: 'Query the audit log of mutating actions', roles: ['Admin'] },
+
+  // Contacts (Google Form responses)
+  { name: 'contacts:read', description: 'View contacts and the contacts assigned to you', roles: ['Admin', 'Organizer'] },
+  { name: 'contacts:create', description: 'Create contacts', roles: ['Admin', 'Organizer'] },
+  { name: 'contacts:update', description: 'Edit contact details', roles: ['Admin', 'Organizer'] },
+  { name: 'contacts:update-status', description: 'Update the status of, and log calls to, the contacts assigned to you', roles: ['Admin', 'Organizer'] },
+  { name: 'contacts:manage-all', description: 'View, update the status of and log calls to contacts assigned to anyone', roles: ['Admin'] },
+  { name: 'contacts:assign', description: 'Assign contacts to organizers', roles: ['Admin'] },
+  { name: 'contacts:delete', description: 'Delete contacts', roles: ['Admin'] },
+  { name: 'contacts:sync', description: 'Pull new and changed form responses from the Google Sheet into the contacts', roles: ['Admin'] },
+
+  // Enterprises
+  { name: 'enterprises:read', description: 'View enterprises', roles: ['Admin', 'Organizer'] },
+  { name: 'enterprises:create', description: 'Create enterprises and their login accounts', roles: ['Admin'] },
+  { name: 'enterprises:update', description: 'Edit enterprises and their contact status', roles: ['Admin', 'Organizer'] },
+  { name: 'enterprises:delete', description: 'Delete enterprises', roles: ['Admin'] },
+
+  // Stand queues
+  { name: 'queues:join', description: 'Join, leave and cancel your place in stand queues, and see your own queue entries', roles: ['Participant'] },
+  { name: 'queues:manage', description: 'Create stand queues and change their status', roles: ['Admin', 'Organizer'] },
+  { name: 'queues:complete', description: 'Mark queue entries as completed or not completed', roles: ['Admin', 'Organizer'] },
+  { name: 'stand:view', description: 'View your own stand queue and the resumes of participants in it', roles: ['Enterprise'] },
+  { name: 'stand:configure', description: 'Change the capacity, opening hours, pause state and ordering of your own stand queue', roles: ['Enterprise'] },
+  { name: 'stand:manage', description: 'Call, check in, complete, skip and mark as no-show the participants in your own stand queue', roles: ['Enterprise'] },
+
+  // Interview slots
+  { name: 'slots:read', description: 'Browse the open interview slots of the stands', roles: ['Admin', 'Organizer', 'Enterprise', 'Participant'] },
+  { name: 'slots:manage', description: 'Publish and cancel interview slots at your own stand', roles: ['Enterprise'] },
+  { name: 'slots:book', description: 'Book and cancel interview slots', roles: ['Participant'] },
+
+  // Feedback
+  { name: 'feedback:submit', description: 'Submit feedback', roles: ['Participant'] },
+  { name: 'feedback:read', description: 'Read all feedback', roles: ['Admin'] }
+];
@@ -0,0 +1,45 @@
+// Stand queue settings
+module.exports = {
+  // Interviews a stand runs in parallel unless configured otherwise
+  defaultMaxConcurrent: 2,
+
+  // Stands a participant may be waiting at or interviewing with at the same time, and
+  // stands they may be interviewing with at the same time
+  maxQueuesPerParticipant: 2,
+  maxActivePerParticipant: 1,
+
+  // A called participant who hasn't checked in after noShowTimeoutMinutes is marked as a
+  // no-show, and a participant still waiting after waitingExpiryMinutes is dropped from the
+  // line. Stands can override both. The check runs every expiryCheckIntervalMs.
+  noShowTimeoutMinutes: 10,
+  waitingExpiryMinutes: 4 * 60,
+  expiryCheckIntervalMs: 60 * 1000,
+
+  // From noShowBlockThreshold no-shows on, every further no-show blocks the participant
+  // from joining queues for noShowBlockMs
+  noShowBlockThreshold: 3,
+  noShowBlockMs: 2 * 60 * 60 * 1000, // 2 hours
+
+  // Order in which waiting participants are called unless a stand picks another policy
+  // (see services/queueOrdering.js), and how much earlier than their real joining time a
+  // participant counts for each of the stand's priority profiles they match
+  defaultOrderingPolicy: 'fifo',
+  profileMatchBoostMs: 10 * 60 * 1000, // 10 minutes
+
+  // Lifetime of the signed check-in QR codes; the participant app refreshes them
+  qrTokenTtlMs: 2 * 60 * 1000, // 2 minutes
+  // Where the QR signing key is kept when QR_SIGNING_KEY isn't set, relative to where the
+  // server runs like database.sqlite
+  qrSigningKeyFile: process.env.QR_SIGNING_KEY_FILE || './qr-signing-key.pem',
+
+  // Wait estimates use the mean interview duration of the last waitEstimateSampleSize
+  // completed entries of a stand, or defaultInterviewMs until it has any
+  waitEstimateSampleSize: 50,
+  defaultInterviewMs: 10 * 60 * 1000, // 10 minutes
+
+  // Interval of the keep-alive comment sent on /api/queues/events, below the idle
+  // timeout of common proxies and load balancers
+  eventsHeartbeatMs: 25 * 1000,
+  // Delay browsers wait before reconnecting after the event stream drops
+  eventsRetryMs: 5 * 1000
+};
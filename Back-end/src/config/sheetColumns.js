@@ -0,0 +1,55 @@
+// Columns of the enterprise registration sheet (Google Form export). Each canonical field
+// name, the key the app stores the answer under, lists the form question headers that hold
+// it. Headers are compared case-insensitively, ignoring curly apostrophes and a trailing
+// colon, so "Nom de l’entreprise :" matches "Nom de l'entreprise". Questions that aren't
+// listed keep their header as-is.
+module.exports = {
+  // Sheet holding the form responses; it has to be readable by anyone with the link
+  sheetId: process.env.GOOGLE_SHEET_ID || '1Yw_L2Oo7Eckx0587PEeFcRvnfIYajgNCuoz88wzR7Eg',
+
+  columns: {
+    // When the form response was submitted; with the e-mail it identifies the response
+    'Horodateur': {
+      headers: ['Horodateur', 'Timestamp']
+    },
+    "Nom de l'entreprise": {
+      headers: ["Nom de l'entreprise"],
+      required: true
+    },
+    'Votre poste': {
+      headers: ['Votre poste', "Votre poste au sein de l'entreprise"]
+    },
+    'Adresse': {
+      headers: ['Adresse']
+    },
+    'Numéro de téléphone': {
+      headers: ['Numéro de téléphone', 'Téléphone']
+    },
+    'E-mail': {
+      headers: ['E-mail', 'Email', 'Adresse e-mail'],
+      required: true,
+      pattern: /^[^\s@]+@[^\s@]+$/
+    },
+    'Site Web': {
+      headers: ['Site Web', 'Site internet']
+    },
+    'Combien de représentants de votre entreprise seront au salon ? (le nombre est limité à 3)': {
+      headers: ['Combien de représentants de votre entreprise seront au salon ? (le nombre est limité à 3)'],
+      pattern: /^\d*$/
+    },
+    'Avez-vous déjà participé au S2EE ?': {
+      headers: ['Avez-vous déjà participé au S2EE ?']
+    },
+    'Quels profils vous intéressent ?': {
+      headers: ['Quels profils vous intéressent ?']
+    },
+    "Nombre de postes d'emploi": {
+      headers: ["Nombre de postes d'emploi"],
+      pattern: /^\d*$/
+    },
+    'Nombre de stages': {
+      headers: ['Nombre de stages'],
+      pattern: /^\d*$/
+    }
+  }
+};
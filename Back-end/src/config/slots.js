@@ -0,0 +1,6 @@
+// Interview slot settings
+module.exports = {
+  // Shortest and longest slot an enterprise may publish
+  minDurationMinutes: 5,
+  maxDurationMinutes: 240 // 4 hours
+};
@@ -18,9 +18,14 @@ const options = {
       securitySchemes: {
         sessionAuth: {
           type: 'apiKey',
-          in: 'header',
-          name: 'Authorization',
-          description: 'Session ID token for authentication',
+          in: 'cookie',
+          name: 'sessionId',
+          description: 'Session cookie set by /api/auth/login',
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API token created via /api/auth/tokens, limited to its scopes',
         },
       },
       schemas: {
@@ -29,7 +34,9 @@ const options = {
           properties: {
             id: { type: 'string', format: 'uuid' },
             username: { type: 'string' },
-            role: { type: 'string', enum: ['Admin', 'Organizer', 'Participant'] },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['Admin', 'Organizer', 'Participant', 'Enterprise'] },
+            status: { type: 'string', enum: ['active', 'disabled', 'pending_verification'] },
           },
         },
         Error: {
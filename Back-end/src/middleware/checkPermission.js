@@ -0,0 +1,29 @@
+const Permissions = require('../apis/permissions');
+
+// Allows the request only if the user holds every listed permission, either through
+// their role or granted individually. See config/permissions.js for the registry.
+const checkPermission = (...required) => {
+  return async (req, res, next) => {
+    // Check if user exists in request (should be set by auth middleware)
+    if (!req.user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const permissions = await Permissions.forRequest(req);
+      const missing = required.filter(permission => !permissions.has(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: `Forbidden: requires the ${missing.join(', ')} permission`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+module.exports = checkPermission;
@@ -0,0 +1,16 @@
+const checkVerified = (req, res, next) => {
+  // Check if user exists in request (should be set by auth middleware)
+  if (!req.user) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  if (req.user.status === 'pending_verification') {
+    return res.status(403).json({
+      error: 'Please verify your email address first. Check your inbox or request a new link.'
+    });
+  }
+
+  next();
+};
+
+module.exports = checkVerified;
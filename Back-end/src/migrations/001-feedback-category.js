@@ -0,0 +1,15 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Feedbacks tables created before feedback had a category
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Feedbacks', {
+      category: {
+        type: DataTypes.ENUM('event', 'platform', 'other'),
+        allowNull: false,
+        defaultValue: 'other'
+      }
+    });
+  }
+};
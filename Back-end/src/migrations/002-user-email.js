@@ -0,0 +1,15 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Email address of an account, where password reset links are sent
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      email: {
+        type: DataTypes.STRING
+      }
+    });
+    // SQLite can't add a UNIQUE column, so uniqueness comes from an index
+    await Migrations.addIndex('Users', ['email'], { name: 'users_email_unique', unique: true });
+  }
+};
@@ -0,0 +1,14 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Account status, so Admins can disable accounts
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      status: {
+        type: DataTypes.ENUM('active', 'disabled', 'pending_verification'),
+        defaultValue: 'active'
+      }
+    });
+  }
+};
@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Sliding expiration and the device details shown in the session list. Existing sessions
+// keep a fixed expiry.
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Sessions', {
+      sliding: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      lastActivityAt: {
+        type: DataTypes.DATE
+      },
+      ipAddress: {
+        type: DataTypes.STRING
+      },
+      userAgent: {
+        type: DataTypes.STRING(512)
+      }
+    });
+  }
+};
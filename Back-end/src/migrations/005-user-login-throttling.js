@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Failed login counter and temporary lockout
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      failedLoginAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastFailedLoginAt: {
+        type: DataTypes.DATE
+      },
+      lockedUntil: {
+        type: DataTypes.DATE
+      }
+    });
+  }
+};
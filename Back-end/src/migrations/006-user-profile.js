@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Participant profile fields
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      fullName: {
+        type: DataTypes.STRING
+      },
+      phone: {
+        type: DataTypes.STRING
+      },
+      university: {
+        type: DataTypes.STRING
+      },
+      fieldOfStudy: {
+        type: DataTypes.STRING
+      },
+      degreeLevel: {
+        type: DataTypes.ENUM('bachelor', 'master', 'engineering', 'doctorate', 'other')
+      },
+      graduationYear: {
+        type: DataTypes.INTEGER
+      },
+      skills: {
+        type: DataTypes.JSON
+      },
+      opportunityType: {
+        type: DataTypes.ENUM('job', 'internship', 'both')
+      }
+    });
+  }
+};
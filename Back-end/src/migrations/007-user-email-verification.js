@@ -0,0 +1,13 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// When the account's email address was verified
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      emailVerifiedAt: {
+        type: DataTypes.DATE
+      }
+    });
+  }
+};
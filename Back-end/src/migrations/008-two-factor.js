@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// TOTP two-factor authentication on accounts, and the pending second factor on sessions
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Users', {
+      totpSecret: {
+        type: DataTypes.STRING
+      },
+      totpEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      totpLastUsedStep: {
+        type: DataTypes.INTEGER
+      },
+      totpBackupCodes: {
+        type: DataTypes.JSON
+      }
+    });
+    await Migrations.addColumns('Sessions', {
+      twoFactorPending: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      twoFactorFailures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    });
+  }
+};
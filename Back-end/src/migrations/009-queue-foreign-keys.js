@@ -0,0 +1,11 @@
+const Migrations = require('../apis/migrations');
+
+// Queue entries and resumes used to name their foreign keys after the model (UserId,
+// StandQueueId); they now use the camelCase names the rest of the schema uses
+module.exports = {
+  async up() {
+    await Migrations.renameColumn('QueueEntries', 'UserId', 'userId');
+    await Migrations.renameColumn('QueueEntries', 'StandQueueId', 'standQueueId');
+    await Migrations.renameColumn('ParticipantResumes', 'UserId', 'userId');
+  }
+};
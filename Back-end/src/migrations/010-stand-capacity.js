@@ -0,0 +1,15 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+const queueConfig = require('../config/queue');
+
+// Number of participants a stand interviews at the same time
+module.exports = {
+  async up() {
+    await Migrations.addColumns('StandQueues', {
+      maxConcurrent: {
+        type: DataTypes.INTEGER,
+        defaultValue: queueConfig.defaultMaxConcurrent
+      }
+    });
+  }
+};
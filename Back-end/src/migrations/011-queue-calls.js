@@ -0,0 +1,17 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// When a stand called a participant, and how many times it skipped them
+module.exports = {
+  async up() {
+    await Migrations.addColumns('QueueEntries', {
+      calledAt: {
+        type: DataTypes.DATE
+      },
+      skipCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      }
+    });
+  }
+};
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Check-in time of queue entries, per-stand timeout overrides, and the no-show record
+// that blocks repeat offenders from joining queues
+module.exports = {
+  async up() {
+    await Migrations.addColumns('QueueEntries', {
+      checkedInAt: {
+        type: DataTypes.DATE
+      }
+    });
+    await Migrations.addColumns('StandQueues', {
+      noShowTimeoutMinutes: {
+        type: DataTypes.INTEGER
+      },
+      waitingExpiryMinutes: {
+        type: DataTypes.INTEGER
+      }
+    });
+    await Migrations.addColumns('Users', {
+      noShowCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      queueBlockedUntil: {
+        type: DataTypes.DATE
+      }
+    });
+  }
+};
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Waiting limit, opening hours and pause settings of stands
+module.exports = {
+  async up() {
+    await Migrations.addColumns('StandQueues', {
+      maxWaiting: {
+        type: DataTypes.INTEGER
+      },
+      openingTime: {
+        type: DataTypes.STRING(5)
+      },
+      closingTime: {
+        type: DataTypes.STRING(5)
+      },
+      paused: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      pauseReason: {
+        type: DataTypes.STRING
+      },
+      expectedResumeAt: {
+        type: DataTypes.DATE
+      }
+    });
+  }
+};
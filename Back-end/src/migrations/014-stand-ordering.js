@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+const queueConfig = require('../config/queue');
+
+// Order in which a stand calls waiting participants, and the profiles it looks for
+module.exports = {
+  async up() {
+    await Migrations.addColumns('StandQueues', {
+      orderingPolicy: {
+        type: DataTypes.ENUM('fifo', 'fewest_interviews', 'profile_match'),
+        allowNull: false,
+        defaultValue: queueConfig.defaultOrderingPolicy
+      },
+      priorityProfiles: {
+        type: DataTypes.JSON,
+        defaultValue: []
+      }
+    });
+  }
+};
@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Enterprise accounts and stands now belong to an Enterprise row; a company has one stand
+module.exports = {
+  async up() {
+    // SQLite accepts the reference before sync() creates the Enterprises table
+    await Migrations.addColumns('Users', {
+      enterpriseId: {
+        type: DataTypes.UUID,
+        references: { model: 'Enterprises', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      }
+    });
+    await Migrations.addIndex('StandQueues', ['enterpriseId'], {
+      name: 'stand_queues_enterprise_id_unique',
+      unique: true
+    });
+  }
+};
@@ -0,0 +1,15 @@
+const { DataTypes } = require('sequelize');
+const Migrations = require('../apis/migrations');
+
+// Form response a contact comes from, which the sheet sync matches rows by
+module.exports = {
+  async up() {
+    await Migrations.addColumns('Contacts', {
+      responseKey: {
+        type: DataTypes.STRING
+      }
+    });
+    // SQLite can't add a UNIQUE column, so uniqueness comes from an index
+    await Migrations.addIndex('Contacts', ['responseKey'], { name: 'contacts_response_key_unique', unique: true });
+  }
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./user');
+
+// Long-lived bearer tokens for kiosks and scripts. Only a SHA-256 hash of the token is stored.
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE
+  },
+  revokedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  timestamps: true
+});
+
+ApiToken.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = ApiToken;
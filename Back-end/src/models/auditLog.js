@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Who changed what, written by services/auditService.js for every mutating route
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Null for anonymous actions such as registering or resetting a password
+  actorId: {
+    type: DataTypes.UUID
+  },
+  // Kept as a snapshot so the log stays readable after the user is deleted
+  actorUsername: {
+    type: DataTypes.STRING
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.STRING
+  },
+  // { field: { before, after } } for every field that changed
+  changes: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  ipAddress: {
+    type: DataTypes.STRING
+  },
+  userAgent: {
+    type: DataTypes.STRING(512)
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['actorId', 'createdAt'] },
+    { fields: ['entityType', 'entityId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = AuditLog;
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CONTACT_STATUSES = ['pending', 'assigned', 'contacting', 'contacted'];
+
+// A company the organizers reach out to, imported from the registration sheet. Every
+// update bumps `version`; saving a row that was changed in the meantime throws a
+// Sequelize OptimisticLockError instead of overwriting it.
+const Contact = sequelize.define('Contact', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Order of the row in the sheet, which /api/contacts/update addresses rows by
+  sheetRow: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Form response the contact comes from, see ContactService.responseKey. Empty for
+  // contacts added by hand or imported from sheet_data.json until a sync matches them.
+  responseKey: {
+    type: DataTypes.STRING,
+    unique: true
+  },
+  companyName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  contactPosition: {
+    type: DataTypes.STRING
+  },
+  address: {
+    type: DataTypes.STRING
+  },
+  phone: {
+    type: DataTypes.STRING
+  },
+  email: {
+    type: DataTypes.STRING
+  },
+  website: {
+    type: DataTypes.STRING
+  },
+  // Remaining sheet columns, keyed by header
+  data: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  contactStatus: {
+    type: DataTypes.ENUM(...CONTACT_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [CONTACT_STATUSES]
+    }
+  },
+  contactResult: {
+    type: DataTypes.STRING
+  },
+  numberOfCalls: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  assignedTo: {
+    type: DataTypes.UUID
+  },
+  assignedAt: {
+    type: DataTypes.DATE
+  },
+  lastUpdatedAt: {
+    type: DataTypes.DATE
+  },
+  lastUpdatedBy: {
+    type: DataTypes.UUID
+  }
+}, {
+  timestamps: true,
+  version: true,
+  indexes: [
+    { fields: ['sheetRow'] },
+    { fields: ['assignedTo'] }
+  ]
+});
+
+module.exports = Contact;
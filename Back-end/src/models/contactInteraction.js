@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./user');
+const Contact = require('./contact');
+
+const CHANNELS = ['phone', 'email', 'in_person', 'other'];
+const OUTCOMES = ['no_answer', 'call_back', 'interested', 'declined'];
+
+// One attempt by an organizer to reach a contact, as logged through
+// POST /api/contacts/:id/calls
+const ContactInteraction = sequelize.define('ContactInteraction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  contactId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Contact,
+      key: 'id'
+    }
+  },
+  // Organizer who made the call; kept as null if their account is deleted
+  userId: {
+    type: DataTypes.UUID,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  channel: {
+    type: DataTypes.ENUM(...CHANNELS),
+    allowNull: false,
+    defaultValue: 'phone',
+    validate: {
+      isIn: {
+        args: [CHANNELS],
+        msg: `channel must be one of ${CHANNELS.join(', ')}`
+      }
+    }
+  },
+  outcome: {
+    type: DataTypes.ENUM(...OUTCOMES),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [OUTCOMES],
+        msg: `outcome must be one of ${OUTCOMES.join(', ')}`
+      }
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT
+  },
+  calledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['contactId', 'calledAt'] }
+  ]
+});
+
+ContactInteraction.belongsTo(User, { as: 'caller', foreignKey: 'userId', onDelete: 'SET NULL' });
+ContactInteraction.belongsTo(Contact, { foreignKey: 'contactId', onDelete: 'CASCADE' });
+
+module.exports = ContactInteraction;
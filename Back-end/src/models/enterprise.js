@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A company taking part in the fair. Its login accounts are the Enterprise users with a
+// matching enterpriseId, and its stand is the StandQueue with the same enterpriseId.
+const Enterprise = sequelize.define('Enterprise', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Role of the person who registered the enterprise
+  contactPosition: {
+    type: DataTypes.STRING
+  },
+  address: {
+    type: DataTypes.STRING
+  },
+  phone: {
+    type: DataTypes.STRING
+  },
+  email: {
+    type: DataTypes.STRING
+  },
+  website: {
+    type: DataTypes.STRING
+  },
+  // Registration form answers
+  representativeCount: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  participatedBefore: {
+    type: DataTypes.BOOLEAN
+  },
+  interestedProfiles: {
+    type: DataTypes.TEXT
+  },
+  jobOpenings: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  internshipOpenings: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0
+    }
+  },
+  // Remaining form answers, keyed by question
+  answers: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  // Outreach by the organizers
+  contactStatus: {
+    type: DataTypes.ENUM('pending', 'contacted', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'contacted', 'failed']]
+    }
+  },
+  contactResult: {
+    type: DataTypes.STRING
+  },
+  numberOfCalls: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = Enterprise;
@@ -4,13 +4,37 @@ const StandQueue = require('./standQueue');
 const QueueEntry = require('./queueEntry');
 const ParticipantResume = require('./participantResume');
 const Feedback = require('./feedback');
+const UserToken = require('./userToken');
+const ApiToken = require('./apiToken');
+const LoginAttempt = require('./loginAttempt');
+const Permission = require('./permission');
+const RolePermission = require('./rolePermission');
+const UserPermission = require('./userPermission');
+const AuditLog = require('./auditLog');
+const InterviewSlot = require('./interviewSlot');
+const SlotBooking = require('./slotBooking');
+const Enterprise = require('./enterprise');
+const Contact = require('./contact');
+const ContactInteraction = require('./contactInteraction');
 
 // Define additional relationships here
-StandQueue.hasMany(QueueEntry);
-User.hasMany(QueueEntry);
-User.hasMany(Session);
-User.hasOne(ParticipantResume);
-ParticipantResume.belongsTo(User);
+StandQueue.hasMany(QueueEntry, { foreignKey: 'standQueueId' });
+User.hasMany(QueueEntry, { foreignKey: 'userId' });
+User.hasMany(Session, { foreignKey: 'userId' });
+User.hasMany(UserToken, { foreignKey: 'userId' });
+User.hasMany(ApiToken, { foreignKey: 'userId' });
+User.hasMany(UserPermission, { foreignKey: 'userId' });
+User.hasOne(ParticipantResume, { foreignKey: 'userId' });
+ParticipantResume.belongsTo(User, { foreignKey: 'userId' });
+InterviewSlot.hasMany(SlotBooking, { foreignKey: 'slotId' });
+User.hasMany(SlotBooking, { foreignKey: 'userId' });
+Enterprise.hasMany(User, { foreignKey: 'enterpriseId' });
+User.belongsTo(Enterprise, { foreignKey: 'enterpriseId' });
+Enterprise.hasOne(StandQueue, { foreignKey: 'enterpriseId' });
+StandQueue.belongsTo(Enterprise, { foreignKey: 'enterpriseId' });
+Enterprise.hasMany(InterviewSlot, { foreignKey: 'enterpriseId' });
+Contact.belongsTo(User, { as: 'assignee', foreignKey: 'assignedTo' });
+Contact.hasMany(ContactInteraction, { foreignKey: 'contactId', onDelete: 'CASCADE' });
 
 module.exports = {
   User,
@@ -18,5 +42,17 @@ module.exports = {
   StandQueue,
   QueueEntry,
   ParticipantResume,
-  Feedback
+  Feedback,
+  UserToken,
+  ApiToken,
+  LoginAttempt,
+  Permission,
+  RolePermission,
+  UserPermission,
+  AuditLog,
+  InterviewSlot,
+  SlotBooking,
+  Enterprise,
+  Contact,
+  ContactInteraction
 }; 
\ No newline at end of file
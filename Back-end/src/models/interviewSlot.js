@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const slotConfig = require('../config/slots');
+
+// A scheduled interview time published by an enterprise, bookable by up to `capacity`
+// participants. Runs alongside the walk-in StandQueue of the same enterprise.
+const InterviewSlot = sequelize.define('InterviewSlot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  enterpriseId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: slotConfig.minDurationMinutes,
+      max: slotConfig.maxDurationMinutes
+    }
+  },
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  // Number of Booked bookings, maintained by services/slotService.js
+  bookedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('Open', 'Cancelled'),
+    defaultValue: 'Open',
+    validate: {
+      isIn: [['Open', 'Cancelled']]
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['enterpriseId', 'startsAt'] }
+  ]
+});
+
+// End of the slot, used for overlap checks
+InterviewSlot.prototype.endsAt = function () {
+  return new Date(this.startsAt.getTime() + this.durationMinutes * 60 * 1000);
+};
+
+module.exports = InterviewSlot;
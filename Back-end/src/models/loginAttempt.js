@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Every login attempt, kept for throttling and for reviewing after the event
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  username: {
+    type: DataTypes.STRING
+  },
+  // Null when the username did not match any account
+  userId: {
+    type: DataTypes.UUID
+  },
+  ipAddress: {
+    type: DataTypes.STRING
+  },
+  userAgent: {
+    type: DataTypes.STRING(512)
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('success', 'invalid_credentials', 'account_locked', 'account_disabled', 'throttled'),
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['ipAddress', 'createdAt'] },
+    { fields: ['username', 'createdAt'] }
+  ]
+});
+
+module.exports = LoginAttempt;
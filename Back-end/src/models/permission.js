@@ -0,0 +1,17 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Mirror of config/permissions.js, kept in sync at startup by Permissions.syncRegistry
+const Permission = sequelize.define('Permission', {
+  name: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  description: {
+    type: DataTypes.STRING
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = Permission;
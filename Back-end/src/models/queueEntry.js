@@ -9,24 +9,41 @@ const QueueEntry = sequelize.define('QueueEntry', {
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+  // Changed only through services/queueService.js, which enforces the allowed transitions
   status: {
-    type: DataTypes.ENUM('Waiting', 'Active', 'Completed', 'Cancelled'),
-    defaultValue: 'Waiting'
+    type: DataTypes.ENUM('Waiting', 'Active', 'Completed', 'Cancelled', 'Left', 'NoShow', 'Expired'),
+    defaultValue: 'Waiting',
+    validate: {
+      isIn: [['Waiting', 'Active', 'Completed', 'Cancelled', 'Left', 'NoShow', 'Expired']]
+    }
   },
   joinedAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   },
+  // When the stand called the participant
+  calledAt: {
+    type: DataTypes.DATE
+  },
+  // When the participant arrived at the stand after being called
+  checkedInAt: {
+    type: DataTypes.DATE
+  },
   startedAt: {
     type: DataTypes.DATE
   },
   completedAt: {
     type: DataTypes.DATE
+  },
+  // Times the stand skipped the participant and sent them to the back of the line
+  skipCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
   }
 });
 
 // Associations
-QueueEntry.belongsTo(User);
-QueueEntry.belongsTo(StandQueue);
+QueueEntry.belongsTo(User, { foreignKey: 'userId' });
+QueueEntry.belongsTo(StandQueue, { foreignKey: 'standQueueId' });
 
 module.exports = QueueEntry; 
\ No newline at end of file
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Permission = require('./permission');
+
+const RolePermission = sequelize.define('RolePermission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  role: {
+    type: DataTypes.ENUM('Admin', 'Organizer', 'Participant', 'Enterprise'),
+    allowNull: false
+  },
+  permission: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Permission,
+      key: 'name'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['role', 'permission'] }
+  ]
+});
+
+module.exports = RolePermission;
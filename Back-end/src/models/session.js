@@ -19,11 +19,39 @@ const Session = sequelize.define('Session', {
   expiresAt: {
     type: DataTypes.DATE,
     allowNull: false
+  },
+  // Sliding sessions are pushed forward on activity, up to authConfig.sessionMaxAgeMs
+  sliding: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  lastActivityAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  ipAddress: {
+    type: DataTypes.STRING
+  },
+  userAgent: {
+    type: DataTypes.STRING(512)
+  },
+  // Set at login for accounts using 2FA; the session can only reach the
+  // /api/auth/2fa routes until the second factor has been verified
+  twoFactorPending: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  twoFactorFailures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   timestamps: true
 });
 
-Session.belongsTo(User);
+Session.belongsTo(User, { foreignKey: 'userId' });
 
 module.exports = Session; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./user');
+const InterviewSlot = require('./interviewSlot');
+
+const SlotBooking = sequelize.define('SlotBooking', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  slotId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: InterviewSlot,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('Booked', 'Cancelled'),
+    defaultValue: 'Booked',
+    validate: {
+      isIn: [['Booked', 'Cancelled']]
+    }
+  },
+  cancelledAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId', 'status'] },
+    { fields: ['slotId', 'status'] }
+  ]
+});
+
+SlotBooking.belongsTo(User, { foreignKey: 'userId' });
+SlotBooking.belongsTo(InterviewSlot, { foreignKey: 'slotId' });
+
+module.exports = SlotBooking;
@@ -1,6 +1,10 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 const User = require('./user');
+const queueConfig = require('../config/queue');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ORDERING_POLICIES = ['fifo', 'fewest_interviews', 'profile_match'];
 
 const StandQueue = sequelize.define('StandQueue', {
   id: {
@@ -9,25 +13,118 @@ const StandQueue = sequelize.define('StandQueue', {
     primaryKey: true
   },
   enterpriseId: {
-    type: DataTypes.STRING,
-    allowNull: false
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
   },
   status: {
     type: DataTypes.ENUM('Open', 'Full', 'Closed'),
-    defaultValue: 'Open'
+    defaultValue: 'Open',
+    validate: {
+      isIn: [['Open', 'Full', 'Closed']]
+    }
   },
+  // Number of Active entries, maintained by services/queueService.js
   currentParticipants: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
     validate: {
-      min: 0,
-      max: 4
+      min: 0
+    }
+  },
+  // Number of participants interviewed at the same time
+  maxConcurrent: {
+    type: DataTypes.INTEGER,
+    defaultValue: queueConfig.defaultMaxConcurrent,
+    validate: {
+      min: 1
+    }
+  },
+  // Overrides of the no-show and waiting timeouts in config/queue.js, in minutes
+  noShowTimeoutMinutes: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  waitingExpiryMinutes: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  // Longest the waiting line may get; unlimited when empty
+  maxWaiting: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  // Daily opening hours as HH:MM in the server's time zone; a stand closing before it
+  // opens runs past midnight. Either bound may be left empty.
+  openingTime: {
+    type: DataTypes.STRING(5),
+    validate: {
+      is: { args: TIME_OF_DAY, msg: 'openingTime must be a time of day as HH:MM' }
+    }
+  },
+  closingTime: {
+    type: DataTypes.STRING(5),
+    validate: {
+      is: { args: TIME_OF_DAY, msg: 'closingTime must be a time of day as HH:MM' }
+    }
+  },
+  // Order in which waiting participants are called, implemented in services/queueOrdering.js
+  orderingPolicy: {
+    type: DataTypes.ENUM(...ORDERING_POLICIES),
+    allowNull: false,
+    defaultValue: queueConfig.defaultOrderingPolicy,
+    validate: {
+      isIn: [ORDERING_POLICIES]
     }
   },
+  // Profiles the enterprise is looking for (field of study, degree, skills...), boosted
+  // by the profile_match policy. When empty, Enterprise.interestedProfiles is used instead.
+  priorityProfiles: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    validate: {
+      isStringList(value) {
+        if (!Array.isArray(value) || value.some(profile => typeof profile !== 'string')) {
+          throw new Error('priorityProfiles must be a list of strings');
+        }
+      }
+    }
+  },
+  // A paused stand keeps its line but takes no new participants, e.g. during a break
+  paused: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  pauseReason: {
+    type: DataTypes.STRING
+  },
+  // Shown to participants only; the stand still has to be resumed by hand
+  expectedResumeAt: {
+    type: DataTypes.DATE
+  },
   totalProcessed: {
     type: DataTypes.INTEGER,
     defaultValue: 0
   }
 });
 
+// Whether the opening hours include the given moment
+StandQueue.prototype.isWithinHours = function (date = new Date()) {
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  const opened = !this.openingTime || time >= this.openingTime;
+  const notClosed = !this.closingTime || time < this.closingTime;
+
+  if (this.openingTime && this.closingTime && this.closingTime < this.openingTime) {
+    return opened || notClosed;
+  }
+  return opened && notClosed;
+};
+
 module.exports = StandQueue; 
\ No newline at end of file
@@ -12,6 +12,13 @@ const User = sequelize.define('User', {
     unique: true,
     allowNull: false
   },
+  email: {
+    type: DataTypes.STRING,
+    unique: true,
+    validate: {
+      isEmail: true
+    }
+  },
   passwordHash: {
     type: DataTypes.STRING,
     allowNull: false
@@ -23,9 +30,108 @@ const User = sequelize.define('User', {
   role: {
     type: DataTypes.ENUM('Admin', 'Organizer', 'Participant', 'Enterprise'),
     defaultValue: 'Participant'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'disabled', 'pending_verification'),
+    defaultValue: 'active'
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE
+  },
+  // Participant profile, shown to enterprises in their stand queue
+  fullName: {
+    type: DataTypes.STRING
+  },
+  phone: {
+    type: DataTypes.STRING
+  },
+  university: {
+    type: DataTypes.STRING
+  },
+  fieldOfStudy: {
+    type: DataTypes.STRING
+  },
+  degreeLevel: {
+    type: DataTypes.ENUM('bachelor', 'master', 'engineering', 'doctorate', 'other'),
+    validate: {
+      isIn: [['bachelor', 'master', 'engineering', 'doctorate', 'other']]
+    }
+  },
+  graduationYear: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1950,
+      max: 2100
+    }
+  },
+  skills: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  opportunityType: {
+    type: DataTypes.ENUM('job', 'internship', 'both'),
+    validate: {
+      isIn: [['job', 'internship', 'both']]
+    }
+  },
+  // TOTP two-factor authentication, see apis/twoFactor.js
+  totpSecret: {
+    type: DataTypes.STRING
+  },
+  totpEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  totpLastUsedStep: {
+    type: DataTypes.INTEGER
+  },
+  // SHA-256 hashes of the unused backup codes
+  totpBackupCodes: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Brute-force protection, see Auth.login
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailedLoginAt: {
+    type: DataTypes.DATE
+  },
+  lockedUntil: {
+    type: DataTypes.DATE
+  },
+  // Calls to a stand the participant never answered, see QueueService.expireStaleEntries
+  noShowCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  queueBlockedUntil: {
+    type: DataTypes.DATE
+  },
+  // Company an Enterprise account belongs to, see models/enterprise.js
+  enterpriseId: {
+    type: DataTypes.UUID
   }
 }, {
   timestamps: true
 });
 
+// Fields a user may edit on their own profile through /api/users/me
+User.PROFILE_FIELDS = [
+  'fullName',
+  'email',
+  'phone',
+  'university',
+  'fieldOfStudy',
+  'degreeLevel',
+  'graduationYear',
+  'skills',
+  'opportunityType'
+];
+
 module.exports = User; 
\ No newline at end of file
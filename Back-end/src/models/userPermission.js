@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./user');
+const Permission = require('./permission');
+
+// Permissions granted to a single user on top of those of their role
+const UserPermission = sequelize.define('UserPermission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  permission: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Permission,
+      key: 'name'
+    }
+  },
+  grantedBy: {
+    type: DataTypes.UUID
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'permission'] }
+  ]
+});
+
+UserPermission.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = UserPermission;
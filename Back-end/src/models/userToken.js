@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./user');
+
+// One-time tokens mailed to users. Only a SHA-256 hash of the token is stored.
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  timestamps: true
+});
+
+UserToken.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = UserToken;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const authMiddleware = require('../apis/authMiddleware');
+const checkPermission = require('../middleware/checkPermission');
+const AuditLog = require('../models/auditLog');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         actorId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         actorUsername:
+ *           type: string
+ *           nullable: true
+ *         action:
+ *           type: string
+ *           example: contact.status.update
+ *         entityType:
+ *           type: string
+ *           example: contact
+ *         entityId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { before, after } }"
+ *           example:
+ *             contactStatus: { before: Not Contacted, after: Interested }
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Query the audit log of mutating actions (requires audit:read)
+ *     tags: [Audit]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorUsername
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Page of audit log entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ */
+router.get('/',
+  authMiddleware,
+  checkPermission('audit:read'),
+  async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      const { actorId, actorUsername, action, entityType, entityId, from, to } = req.query;
+
+      const where = {};
+      if (actorId) {
+        where.actorId = actorId;
+      }
+      if (actorUsername) {
+        where.actorUsername = actorUsername;
+      }
+      if (action) {
+        where.action = action;
+      }
+      if (entityType) {
+        where.entityType = entityType;
+      }
+      if (entityId) {
+        where.entityId = entityId;
+      }
+      if (from || to) {
+        where.createdAt = {
+          ...(from && { [Op.gte]: new Date(from) }),
+          ...(to && { [Op.lte]: new Date(to) })
+        };
+      }
+
+      const { rows, count } = await AuditLog.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        logs: rows,
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
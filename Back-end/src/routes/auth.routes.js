@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Auth = require('../apis/auth');
 const authMiddleware = require('../apis/authMiddleware');
+const ApiTokens = require('../apis/apiTokens');
+const TwoFactor = require('../apis/twoFactor');
+const checkPermission = require('../middleware/checkPermission');
 const Session = require('../models/session');
+const auditService = require('../services/auditService');
 const { Op } = require('sequelize');
 
 /**
@@ -20,12 +24,17 @@ const { Op } = require('sequelize');
  *             required:
  *               - username
  *               - password
+ *               - email
  *             properties:
  *               username:
  *                 type: string
  *               password:
  *                 type: string
  *                 format: password
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: A verification link is sent here. The account cannot join queues until it is verified.
  *     responses:
  *       200:
  *         description: User registered successfully
@@ -48,9 +57,15 @@ const { Op } = require('sequelize');
  */
 router.post('/register', async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const role = 'Participant';
-    const userId = await Auth.register(username, password, role);
+    const { username, password, email } = req.body;
+    const userId = await Auth.registerParticipant(username, password, email);
+    await auditService.record(req, {
+      action: 'user.register',
+      entityType: 'user',
+      entityId: userId,
+      after: { username, email, role: 'Participant' },
+      actor: { id: userId, username }
+    });
     res.json({ success: true, userId });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -78,6 +93,10 @@ router.post('/register', async (req, res) => {
  *               password:
  *                 type: string
  *                 format: password
+ *               slidingExpiration:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep the session alive while it is in use instead of expiring 24h after login
  *     responses:
  *       200:
  *         description: Login successful. Sets a session cookie.
@@ -91,6 +110,14 @@ router.post('/register', async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: >
+ *                     When true, the session only works for /api/auth/2fa/* and logout until
+ *                     a code is verified through /api/auth/2fa/verify
+ *                 twoFactorEnrollmentRequired:
+ *                   type: boolean
+ *                   description: When true, the account must enroll through /api/auth/2fa/setup and /api/auth/2fa/enable first
  *                 user:
  *                   type: object
  *                   properties:
@@ -101,18 +128,34 @@ router.post('/register', async (req, res) => {
  *                       type: string
  *                     role:
  *                       type: string
- *                       enum: [Admin, Organizer, Participant]
+ *                       enum: [Admin, Organizer, Participant, Enterprise]
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts. See Retry-After.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts from this IP or for this account. See Retry-After.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const loginResult = await Auth.login(username, password);
+    const { username, password, slidingExpiration } = req.body;
+    const loginResult = await Auth.login(username, password, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      slidingExpiration
+    });
     
     // Set the session cookie
     res.cookie(
@@ -121,15 +164,17 @@ router.post('/login', async (req, res) => {
       loginResult.sessionCookie.options
     );
 
-    // For debugging
-    console.log('Setting session cookie:', loginResult.sessionCookie);
-
     res.json({
+      twoFactorRequired: loginResult.twoFactorRequired,
+      twoFactorEnrollmentRequired: loginResult.twoFactorEnrollmentRequired,
       user: loginResult.user
     });
   } catch (error) {
     console.error('Login error:', error);
-    res.status(401).json({ error: error.message });
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status || 401).json({ error: error.message });
   }
 });
 
@@ -160,21 +205,566 @@ router.post('/login', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', authMiddleware, async (req, res) => {
+router.post('/logout', authMiddleware.allowPendingTwoFactor, async (req, res) => {
   try {
-    const sessionId = req.headers.authorization;
-    await Auth.logout(sessionId);
+    await Auth.logout(req.sessionId);
+    res.clearCookie('sessionId', { path: '/' });
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address using the token from the verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified, account activated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid, expired or already used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await Auth.verifyEmail(req.body.token);
+    await auditService.record(req, {
+      action: 'user.email.verify',
+      entityType: 'user',
+      entityId: user.id,
+      after: { emailVerifiedAt: user.emailVerifiedAt },
+      actor: user
+    });
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification link to the current user's email address
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Already verified, or asked again too soon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    await Auth.resendVerificationEmail(req.user.id);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     tags: [Authentication]
+ *     description: Always answers with the same message, whether or not the account exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Username or email address
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists and has an email address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing identifier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { identifier } = req.body;
+    if (!identifier) {
+      return res.status(400).json({ error: 'Username or email is required' });
+    }
+
+    await Auth.requestPasswordReset(identifier);
+    res.json({
+      success: true,
+      message: 'If an account with that username or email exists, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Authentication]
+ *     description: Consumes the token and logs the user out of every existing session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid, expired or already used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const user = await Auth.resetPassword(token, newPassword);
+    await auditService.record(req, {
+      action: 'user.password.reset',
+      entityType: 'user',
+      entityId: user.id,
+      after: { passwordHash: true },
+      actor: user
+    });
+    res.json({ success: true, message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Generates a new TOTP secret for the current user. Render `otpauthUri` as a QR code
+ *       for the authenticator app, then confirm with /api/auth/2fa/enable.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: otpauth://totp/S2EE%3Aadmin?secret=...&issuer=S2EE
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', authMiddleware.allowPendingTwoFactor, async (req, res) => {
+  try {
+    const result = await TwoFactor.setup(req.user.id);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a first code and receive backup codes
+ *     description: Backup codes are shown only once. The current session counts as verified.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code, or setup not started
+ */
+router.post('/2fa/enable', authMiddleware.allowPendingTwoFactor, async (req, res) => {
+  try {
+    const backupCodes = await TwoFactor.enable(req.user.id, req.body.code, req.sessionId);
+    await auditService.record(req, {
+      action: 'user.2fa.enable',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { totpEnabled: false },
+      after: { totpEnabled: true }
+    });
+    res.json({ success: true, backupCodes });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login by verifying the second factor
+ *     description: Send either a code from the authenticator app or one of the backup codes.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session fully verified
+ *       400:
+ *         description: Invalid code. The session is destroyed after too many attempts.
+ *       423:
+ *         description: |
+ *           Account temporarily locked. Invalid codes count towards the same lockout as
+ *           invalid passwords. See Retry-After.
+ *       429:
+ *         description: Too many failed attempts for this account. See Retry-After.
+ */
+router.post('/2fa/verify', authMiddleware.allowPendingTwoFactor, async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+    await TwoFactor.verifySession(req.sessionId, { code, backupCode });
+    res.json({ success: true, message: 'Two-factor verification successful' });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace all backup codes with a new set
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/backup-codes', authMiddleware, async (req, res) => {
+  try {
+    const backupCodes = await TwoFactor.regenerateBackupCodes(req.user.id, req.body.code);
+    await auditService.record(req, {
+      action: 'user.2fa.backup_codes.regenerate',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { totpBackupCodes: true }
+    });
+    res.json({ success: true, backupCodes });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication (not allowed for Admins)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code, or 2FA is mandatory for this role
+ */
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    await TwoFactor.disable(req.user.id, { password, code, backupCode });
+    await auditService.record(req, {
+      action: 'user.2fa.disable',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { totpEnabled: true },
+      after: { totpEnabled: false }
+    });
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     format: uuid
+ *                   current:
+ *                     type: boolean
+ *                     description: True for the session making this request
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastActivityAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   sliding:
+ *                     type: boolean
+ *                   ipAddress:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Auth.listSessions(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere else by revoking all other sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await Auth.revokeOtherSessions(req.user.id, req.sessionId);
+    await auditService.record(req, {
+      action: 'session.revoke_others',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { revokedSessions: revoked }
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    await Auth.revokeSession(req.user.id, req.params.id);
+    await auditService.record(req, {
+      action: 'session.revoke',
+      entityType: 'session',
+      entityId: req.params.id
+    });
+
+    if (req.params.id === req.sessionId) {
+      res.clearCookie('sessionId', { path: '/' });
+    }
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/change-role:
  *   put:
- *     summary: Change user role (Admin only)
+ *     summary: Change user role (requires users:change-role)
+ *     description: >
+ *       Promoting a user without two-factor authentication to a role that requires it
+ *       logs them out everywhere; they enroll when they next log in.
  *     tags: [Authentication]
  *     security:
  *       - sessionAuth: []
@@ -207,31 +797,286 @@ router.post('/logout', authMiddleware, async (req, res) => {
  *                 message:
  *                   type: string
  *       403:
- *         description: Unauthorized - Requires Admin role
+ *         description: Forbidden - Requires the users:change-role permission
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/change-role', authMiddleware, async (req, res) => {
+router.put('/change-role', authMiddleware, checkPermission('users:change-role'), async (req, res) => {
   try {
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Unauthorized. Requires Admin role' });
-    }
-
     const { userId, newRole } = req.body;
     
     if (newRole !== 'Admin' && newRole !== 'Organizer') {
       return res.status(400).json({ error: 'Invalid role. Must be Admin or Organizer' });
     }
 
-    await Auth.changeUserRole(userId, newRole);
+    const previousRole = await Auth.changeUserRole(userId, newRole);
+    await auditService.record(req, {
+      action: 'user.role.change',
+      entityType: 'user',
+      entityId: userId,
+      before: { role: previousRole },
+      after: { role: newRole }
+    });
     res.json({ success: true, message: 'Role updated successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         tokenPrefix:
+ *           type: string
+ *           description: First characters of the token, for identification
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: queues:read
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List the current user's API tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: API tokens, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiToken'
+ */
+router.get('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const tokens = await ApiTokens.list(req.user.id);
+    res.json(tokens);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   post:
+ *     summary: Create an API token for the current user
+ *     tags: [Authentication]
+ *     description: >
+ *       The token is returned only once. Send it as `Authorization: Bearer <token>`.
+ *       It acts as the user who created it, limited to the granted scopes.
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Stand 12 tablet
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [contacts:read, contacts:write, enterprise:read, enterprise:write, queues:read, queues:write, users:read, users:write, feedback:read, feedback:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 90
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 apiToken:
+ *                   $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Invalid name, scopes or expiry
+ */
+router.post('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const result = await ApiTokens.create(req.user.id, req.body);
+    await auditService.record(req, {
+      action: 'api_token.create',
+      entityType: 'api_token',
+      entityId: result.apiToken.id,
+      after: result.apiToken
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   get:
+ *     summary: Get one of the current user's API tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiToken'
+ *       404:
+ *         description: Token not found
+ */
+router.get('/tokens/:id', authMiddleware, async (req, res) => {
+  try {
+    const apiToken = await ApiTokens.findForUser(req.user.id, req.params.id);
+    res.json(ApiTokens.toJSON(apiToken));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   patch:
+ *     summary: Rename an API token or change its scopes
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Invalid scopes or revoked token
+ *       404:
+ *         description: Token not found
+ */
+router.patch('/tokens/:id', authMiddleware, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const before = ApiTokens.toJSON(await ApiTokens.findForUser(req.user.id, req.params.id));
+    const apiToken = await ApiTokens.update(req.user.id, req.params.id, { name, scopes });
+    await auditService.record(req, {
+      action: 'api_token.update',
+      entityType: 'api_token',
+      entityId: apiToken.id,
+      before,
+      after: apiToken
+    });
+    res.json(apiToken);
+  } catch (error) {
+    const status = error.message === 'Token not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     tags: [Authentication]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:id', authMiddleware, async (req, res) => {
+  try {
+    await ApiTokens.revoke(req.user.id, req.params.id);
+    await auditService.record(req, {
+      action: 'api_token.revoke',
+      entityType: 'api_token',
+      entityId: req.params.id
+    });
+    res.json({ success: true, message: 'Token revoked successfully' });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // Add session verification middleware
 const verifySession = async (req, res, next) => {
   const sessionId = req.cookies.sessionId;
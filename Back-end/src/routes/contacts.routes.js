@@ -1,10 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
+const { Op } = require('sequelize');
 const authMiddleware = require('../apis/authMiddleware');
-const { fetchAndSaveGoogleSheet } = require('../apis/GoogleAPI');
-
-const SHEET_DATA_PATH = "./data/sheet_data.json";
+const checkPermission = require('../middleware/checkPermission');
+const Permissions = require('../apis/permissions');
+const auditService = require('../services/auditService');
+const contactService = require('../services/contactService');
+const { fetchGoogleSheet } = require('../apis/GoogleAPI');
+const { sheetId } = require('../config/sheetColumns');
+
+function sendError(res, error) {
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+  }
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+// Version of the contact a change is based on: `version` in the body, or an If-Match
+// header holding it, quoted as an ETag or not
+function requestVersion(req) {
+  if (req.body?.version !== undefined) {
+    return req.body.version;
+  }
+  const ifMatch = req.get('If-Match');
+  return ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '').trim() : undefined;
+}
 
 /**
  * @swagger
@@ -19,20 +39,25 @@ const SHEET_DATA_PATH = "./data/sheet_data.json";
  *           type: string
  *         status:
  *           type: string
+ *         version:
+ *           type: integer
+ *           description: |
+ *             Increases on every change. Every change to a contact has to send back the
+ *             version it is based on, and gets a 409 instead of overwriting a change made
+ *             in the meantime.
  *         # Add other sheet properties as needed
+ *   parameters:
+ *     ContactIfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       description: Version of the contact the change is based on, instead of version in the body
+ *   responses:
+ *     ContactVersionRequired:
+ *       description: No version was given, in the body or an If-Match header
  */
 
-const checkRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: `Unauthorized. Requires one of the following roles: ${roles.join(', ')}` 
-      });
-    }
-    next();
-  };
-};
-
 /**
  * @swagger
  * /api/contacts:
@@ -70,24 +95,13 @@ const checkRole = (roles) => {
  */
 router.get('/', 
   authMiddleware, 
-  checkRole(['Admin', 'Organizer']), 
+  checkPermission('contacts:read'), 
   async (req, res) => {
     try {
-      const sheetId = "1Yw_L2Oo7Eckx0587PEeFcRvnfIYajgNCuoz88wzR7Eg";
-      
-      try {
-        const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-        res.json(data);
-      } catch (readError) {
-        if (!fs.existsSync('./data')) {
-          fs.mkdirSync('./data');
-        }
-        await fetchAndSaveGoogleSheet(sheetId, SHEET_DATA_PATH);
-        const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-        res.json(data);
-      }
+      const contacts = await contactService.list();
+      res.json(contacts.map(contact => contactService.toLegacy(contact)));
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -100,6 +114,8 @@ router.get('/',
  *     security:
  *       - sessionAuth: []
  *     description: Updates specific row data in the Google Sheet. Only accessible by users with Admin or Organizer roles.
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContactIfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -120,6 +136,9 @@ router.get('/',
  *                 example:
  *                   status: "Completed"
  *                   notes: "Updated by organizer"
+ *               version:
+ *                 type: integer
+ *                 description: Version of the row the changes are based on; required unless sent in an If-Match header
  *     responses:
  *       200:
  *         description: Data updated successfully
@@ -162,35 +181,36 @@ router.get('/',
  *                 error:
  *                   type: string
  *                   example: 'Invalid row index'
+ *       409:
+ *         description: The row was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
  */
 router.put('/update', 
   authMiddleware, 
-  checkRole(['Admin', 'Organizer']), 
+  checkPermission('contacts:update'), 
   async (req, res) => {
     try {
       const { rowIndex, updates } = req.body;
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-
-      if (rowIndex < 0 || rowIndex >= data.length) {
-        return res.status(400).json({ error: 'Invalid row index' });
-      }
-
-      Object.keys(updates).forEach(field => {
-        if (field in data[rowIndex]) {
-          data[rowIndex][field] = updates[field];
-        }
+      const { before, contact } = await contactService.updateRow(rowIndex, updates, requestVersion(req));
+      const updatedRow = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.update',
+        entityType: 'contact',
+        entityId: contact.id,
+        before,
+        after: updatedRow
       });
 
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
-
       res.json({ 
         success: true, 
         message: 'Data updated successfully',
-        updatedRow: data[rowIndex]
+        updatedRow
       });
 
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -208,6 +228,7 @@ router.put('/update',
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContactIfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -217,36 +238,44 @@ router.put('/update',
  *             properties:
  *               updates:
  *                 type: object
+ *               version:
+ *                 type: integer
+ *                 description: Version of the contact the changes are based on; required unless sent in an If-Match header
  *     responses:
  *       200:
  *         description: Contact updated successfully
  *       404:
  *         description: Contact not found
+ *       409:
+ *         description: The contact was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
  */
 router.patch('/:id',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('contacts:update'),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { updates } = req.body;
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-
-      const index = data.findIndex(item => item.id === id);
-      if (index === -1) {
-        return res.status(404).json({ error: 'Contact not found' });
-      }
-
-      data[index] = { ...data[index], ...updates };
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
+      const { before, contact } = await contactService.update(id, updates, requestVersion(req));
+      const updatedContact = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.update',
+        entityType: 'contact',
+        entityId: id,
+        before,
+        after: updatedContact
+      });
 
       res.json({
         success: true,
         message: 'Contact updated successfully',
-        updatedContact: data[index]
+        updatedContact
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -264,34 +293,43 @@ router.patch('/:id',
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContactIfMatch'
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version of the contact the deletion is based on; required unless sent in an If-Match header
  *     responses:
  *       200:
  *         description: Contact deleted successfully
  *       404:
  *         description: Contact not found
+ *       409:
+ *         description: The contact was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
  */
 router.delete('/:id',
   authMiddleware,
-  checkRole(['Admin']),
+  checkPermission('contacts:delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
+      const deleted = await contactService.remove(id, req.query.version ?? requestVersion(req));
 
-      const index = data.findIndex(item => item.id === id);
-      if (index === -1) {
-        return res.status(404).json({ error: 'Contact not found' });
-      }
-
-      data.splice(index, 1);
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
+      await auditService.record(req, {
+        action: 'contact.delete',
+        entityType: 'contact',
+        entityId: id,
+        before: contactService.toLegacy(deleted)
+      });
 
       res.json({
         success: true,
         message: 'Contact deleted successfully'
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -309,6 +347,7 @@ router.delete('/:id',
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContactIfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -321,43 +360,46 @@ router.delete('/:id',
  *               assignedTo:
  *                 type: string
  *                 description: User ID to assign the task to
+ *               version:
+ *                 type: integer
+ *                 description: Version of the contact the assignment is based on; required unless sent in an If-Match header
  *     responses:
  *       200:
  *         description: Contact task assigned successfully
+ *       400:
+ *         description: assignedTo is not an existing user
  *       404:
  *         description: Contact not found
+ *       409:
+ *         description: The contact was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
  */
 router.post('/:id/assign',
   authMiddleware,
-  checkRole(['Admin']),
+  checkPermission('contacts:assign'),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { assignedTo } = req.body;
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-
-      const index = data.findIndex(item => item.id === id);
-      if (index === -1) {
-        return res.status(404).json({ error: 'Contact not found' });
-      }
-
-      data[index] = {
-        ...data[index],
-        assignedTo,
-        contactStatus: 'assigned',
-        assignedAt: new Date().toISOString(),
-        contactResult: null
-      };
-
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
+      const { before, contact } = await contactService.assign(id, assignedTo, requestVersion(req));
+      const updatedContact = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.assign',
+        entityType: 'contact',
+        entityId: id,
+        before,
+        after: updatedContact
+      });
 
       res.json({
         success: true,
         message: 'Contact task assigned successfully',
-        updatedContact: data[index]
+        updatedContact
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -375,6 +417,7 @@ router.post('/:id/assign',
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContactIfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -391,6 +434,9 @@ router.post('/:id/assign',
  *               contactResult:
  *                 type: string
  *                 enum: [interested, not_interested]
+ *               version:
+ *                 type: integer
+ *                 description: Version of the contact the change is based on; required unless sent in an If-Match header
  *     responses:
  *       200:
  *         description: Contact status updated successfully
@@ -398,66 +444,169 @@ router.post('/:id/assign',
  *         description: Contact not found
  *       400:
  *         description: Invalid status transition
+ *       409:
+ *         description: The contact was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
  */
 router.put('/:id/status',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('contacts:update-status'),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { contactStatus, contactResult } = req.body;
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-
-      const index = data.findIndex(item => item.id === id);
-      if (index === -1) {
-        return res.status(404).json({ error: 'Contact not found' });
-      }
-
-      // Validate status transitions
-      const currentStatus = data[index].contactStatus;
-      const validTransitions = {
-        assigned: ['contacting'],
-        contacting: ['contacted'],
-        contacted: ['contacted']
-      };
-
-      if (!validTransitions[currentStatus]?.includes(contactStatus)) {
-        return res.status(400).json({ 
-          error: `Invalid status transition from ${currentStatus} to ${contactStatus}` 
-        });
-      }
-
-      // Only allow contact result when status is 'contacted'
-      if (contactResult && contactStatus !== 'contacted') {
-        return res.status(400).json({
-          error: 'Contact result can only be set when status is contacted'
-        });
-      }
-
-      // Validate that only assigned user or admin can update
-      if (req.user.role !== 'Admin' && data[index].assignedTo !== req.user.id) {
-        return res.status(403).json({
-          error: 'Only assigned user or admin can update the contact status'
-        });
-      }
-
-      data[index] = {
-        ...data[index],
-        contactStatus,
-        lastUpdatedAt: new Date().toISOString(),
-        lastUpdatedBy: req.user.id,
-        ...(contactResult && { contactResult })
-      };
-
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
+      const { before, contact } = await contactService.updateStatus(id, { ...req.body, version: requestVersion(req) }, {
+        user: req.user,
+        canManageAll: await Permissions.has(req, 'contacts:manage-all')
+      });
+      const updatedContact = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.status.update',
+        entityType: 'contact',
+        entityId: id,
+        before,
+        after: updatedContact
+      });
 
       res.json({
         success: true,
         message: 'Contact status updated successfully',
-        updatedContact: data[index]
+        updatedContact
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/contacts/{id}/calls:
+ *   post:
+ *     summary: Log a call attempt to a contact (Admin and Organizer only)
+ *     tags: [Contacts]
+ *     security:
+ *       - sessionAuth: []
+ *     description: |
+ *       Records the call and counts it in number_of_calls. The contact moves to
+ *       contacting (no_answer, call_back) or contacted (interested, declined, which also
+ *       set contactResult) along the same transitions as PUT /api/contacts/{id}/status.
+ *       A contact that is already contacted stays contacted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContactIfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [phone, email, in_person, other]
+ *                 default: phone
+ *               outcome:
+ *                 type: string
+ *                 enum: [no_answer, call_back, interested, declined]
+ *               notes:
+ *                 type: string
+ *               calledAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               version:
+ *                 type: integer
+ *                 description: Version of the contact the call is logged against; required unless sent in an If-Match header
+ *     responses:
+ *       201:
+ *         description: Call logged
+ *       400:
+ *         description: Invalid outcome, channel or date, or the contact isn't assigned yet
+ *       403:
+ *         description: The contact is assigned to someone else
+ *       404:
+ *         description: Contact not found
+ *       409:
+ *         description: The contact was changed since the given version
+ *       428:
+ *         $ref: '#/components/responses/ContactVersionRequired'
+ */
+router.post('/:id/calls',
+  authMiddleware,
+  checkPermission('contacts:update-status'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { channel, outcome, notes, calledAt } = req.body;
+      const { before, contact, interaction } = await contactService.logCall(id, {
+        channel,
+        outcome,
+        notes,
+        calledAt,
+        version: requestVersion(req)
+      }, {
+        user: req.user,
+        canManageAll: await Permissions.has(req, 'contacts:manage-all')
+      });
+      const updatedContact = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.call.log',
+        entityType: 'contact',
+        entityId: id,
+        before,
+        after: updatedContact
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Call logged successfully',
+        interaction,
+        updatedContact
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/contacts/{id}/timeline:
+ *   get:
+ *     summary: Get the calls and changes of a contact (Admin and Organizer only)
+ *     tags: [Contacts]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           The contact and its events, oldest first. Calls have type "call" with channel,
+ *           outcome and notes; edits, assignments and status changes have type "change"
+ *           with the action and the changed fields.
+ *       404:
+ *         description: Contact not found
+ */
+router.get('/:id/timeline',
+  authMiddleware,
+  checkPermission('contacts:read'),
+  async (req, res) => {
+    try {
+      res.json(await contactService.timeline(req.params.id));
+    } catch (error) {
+      sendError(res, error);
     }
 });
 
@@ -475,23 +624,101 @@ router.put('/:id/status',
  */
 router.get('/assigned',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('contacts:read'),
   async (req, res) => {
     try {
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-      
       let assignedContacts;
-      if (req.user.role === 'Admin') {
-        // Admins can see all assigned contacts
-        assignedContacts = data.filter(contact => contact.assignedTo);
+      if (await Permissions.has(req, 'contacts:manage-all')) {
+        // Users with contacts:manage-all see every assigned contact
+        assignedContacts = await contactService.list({ assignedTo: { [Op.ne]: null } });
       } else {
         // Users can only see their assigned contacts
-        assignedContacts = data.filter(contact => contact.assignedTo === req.user.id);
+        assignedContacts = await contactService.list({ assignedTo: req.user.id });
+      }
+
+      res.json(assignedContacts.map(contact => contactService.toLegacy(contact)));
+    } catch (error) {
+      sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/contacts/sync:
+ *   post:
+ *     summary: Sync contacts with the Google Form sheet (Admin only)
+ *     tags: [Contacts]
+ *     security:
+ *       - sessionAuth: []
+ *     description: |
+ *       Fetches the sheet and matches its rows to contacts by form response (submission
+ *       time and e-mail), or by company name for contacts not synced yet. New responses
+ *       are added; for known ones only the form answers, company name included, are
+ *       updated, never the status, result, call count or assignment.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only report what the sync would change
+ *     responses:
+ *       200:
+ *         description: What was (or would be) added, updated and left unchanged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 added:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 updated:
+ *                   type: array
+ *                   description: Contacts with their changed fields as { before, after }
+ *                   items:
+ *                     type: object
+ *                 unchanged:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 report:
+ *                   type: object
+ *                   description: Sheet rows and columns that could not be mapped
+ *       409:
+ *         description: A contact was changed during the sync; nothing was applied
+ *       502:
+ *         description: The sheet could not be fetched
+ */
+router.post('/sync',
+  authMiddleware,
+  checkPermission('contacts:sync'),
+  async (req, res) => {
+    try {
+      const dryRun = req.body?.dryRun === true;
+
+      let sheet;
+      try {
+        sheet = await fetchGoogleSheet(sheetId);
+      } catch (error) {
+        return res.status(502).json({ error: `Could not fetch the sheet: ${error.message}` });
       }
 
-      res.json(assignedContacts);
+      const summary = await contactService.sync(sheet.records, { dryRun, req });
+
+      res.json({ ...summary, report: sheet.report });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -538,45 +765,18 @@ router.get('/assigned',
  */
 router.post('/',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('contacts:create'),
   async (req, res) => {
     try {
-      const newContact = {
-        "Nom de l'entreprise": req.body["Nom de l'entreprise"],
-        "Votre poste": req.body["Votre poste"],
-        "Adresse": req.body["Adresse"] || "",
-        "Numéro de téléphone": req.body["Numéro de téléphone"] || "",
-        "E-mail": req.body["E-mail"],
-        "Site Web": req.body["Site Web"] || "",
-        "contact_status": "pending",
-        "contact_result": null,
-        "number_of_calls": 0,
-        "assignedTo": null,
-        "id": require('crypto').randomUUID() // Generate a unique ID
-      };
-
-      // Validate required fields
-      if (!newContact["Nom de l'entreprise"] || !newContact["Votre poste"] || !newContact["E-mail"]) {
-        return res.status(400).json({ 
-          error: "Missing required fields: Company name, position, and email are required" 
-        });
-      }
-
-      // Read existing data
-      const data = JSON.parse(fs.readFileSync(SHEET_DATA_PATH, 'utf8'));
-
-      // Check if company already exists
-      if (data.some(contact => contact["Nom de l'entreprise"]?.toLowerCase() === newContact["Nom de l'entreprise"].toLowerCase())) {
-        return res.status(400).json({ 
-          error: "A contact with this company name already exists" 
-        });
-      }
-
-      // Add new contact
-      data.push(newContact);
-
-      // Write updated data back to file
-      fs.writeFileSync(SHEET_DATA_PATH, JSON.stringify(data, null, 2));
+      const contact = await contactService.create(req.body);
+      const newContact = contactService.toLegacy(contact);
+
+      await auditService.record(req, {
+        action: 'contact.create',
+        entityType: 'contact',
+        entityId: contact.id,
+        after: newContact
+      });
 
       res.status(201).json({
         success: true,
@@ -585,7 +785,7 @@ router.post('/',
       });
     } catch (error) {
       console.error('Error creating contact:', error);
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
   }
 );
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../apis/authMiddleware');
-const checkRole = require('../middleware/checkRole');
+const checkPermission = require('../middleware/checkPermission');
+const checkVerified = require('../middleware/checkVerified');
+const auditService = require('../services/auditService');
+const queueService = require('../services/queueService');
+const emailService = require('../services/emailService');
+const queuePositions = require('../services/queuePositions');
+const slotService = require('../services/slotService');
+const QrTokens = require('../apis/qrTokens');
 const { StandQueue, QueueEntry, User, ParticipantResume, Feedback } = require('../models');
 const { Op } = require('sequelize');
 
@@ -10,17 +17,21 @@ const { Op } = require('sequelize');
  * /api/enterprise/queue:
  *   get:
  *     summary: Get enterprise queue status and participant details (Enterprise only)
+ *     description: |
+ *       Besides the walk-in queue, returns the stand's upcoming interview slots with their
+ *       bookings, and a schedule merging walk-ins (by estimated time) and booked slots
+ *       (by start time) into one timeline.
  *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
  */
 router.get('/queue',
   authMiddleware,
-  checkRole(['Enterprise']),
+  checkPermission('stand:view'),
   async (req, res) => {
     try {
       const queue = await StandQueue.findOne({
-        where: { enterpriseId: req.user.id },
+        where: { enterpriseId: req.user.enterpriseId },
         include: [{
           model: QueueEntry,
           where: {
@@ -30,7 +41,7 @@ router.get('/queue',
           },
           include: [{
             model: User,
-            attributes: ['id', 'username'],
+            attributes: ['id', 'username', ...User.PROFILE_FIELDS],
             include: [{
               model: ParticipantResume,
               attributes: ['id', 'fileName', 'uploadedAt']
@@ -44,7 +55,34 @@ router.get('/queue',
         return res.status(404).json({ error: 'Queue not found for this enterprise' });
       }
 
-      res.json(queue);
+      const [snapshot, slots] = await Promise.all([
+        queuePositions.forStand(queue.id),
+        slotService.forEnterprise(req.user.enterpriseId)
+      ]);
+
+      // Walk-ins and booked slots on one timeline, in the order the stand should expect them
+      const now = Date.now();
+      const schedule = [
+        ...snapshot.positions.map(position => ({
+          type: 'walk_in',
+          entryId: position.entryId,
+          userIds: [position.userId],
+          status: position.status,
+          position: position.position,
+          expectedAt: new Date(now + position.estimatedWaitMs)
+        })),
+        ...slots
+          .filter(slot => slot.SlotBookings.length)
+          .map(slot => ({
+            type: 'slot',
+            slotId: slot.id,
+            userIds: slot.SlotBookings.map(booking => booking.userId),
+            expectedAt: slot.startsAt,
+            endsAt: slot.endsAt()
+          }))
+      ].sort((a, b) => a.expectedAt - b.expectedAt);
+
+      res.json({ ...queue.toJSON(), slots, schedule });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -61,7 +99,7 @@ router.get('/queue',
  */
 router.get('/queue/participant/:participantId/resume',
   authMiddleware,
-  checkRole(['Enterprise']),
+  checkPermission('stand:view'),
   async (req, res) => {
     try {
       // First verify this participant is in the enterprise's queue
@@ -71,7 +109,7 @@ router.get('/queue/participant/:participantId/resume',
         },
         include: [{
           model: StandQueue,
-          where: { enterpriseId: req.user.id }
+          where: { enterpriseId: req.user.enterpriseId }
         }]
       });
 
@@ -97,71 +135,507 @@ router.get('/queue/participant/:participantId/resume',
 
 /**
  * @swagger
- * /api/enterprise/queue/{enterpriseId}/join:
+ * /api/enterprise/queue/settings:
+ *   put:
+ *     summary: Change the capacity, opening hours, pause state and ordering of your stand (Enterprise only)
+ *     description: |
+ *       Participants can't join while the stand is paused, outside its opening hours or
+ *       when maxWaiting participants are already waiting. The line itself is kept, so
+ *       waiting participants can still be called. Empty values clear a setting.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxConcurrent:
+ *                 type: integer
+ *                 minimum: 1
+ *               maxWaiting:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               openingTime:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "09:30"
+ *               closingTime:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "17:00"
+ *               paused:
+ *                 type: boolean
+ *               pauseReason:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Lunch break
+ *               expectedResumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               orderingPolicy:
+ *                 type: string
+ *                 enum: [fifo, fewest_interviews, profile_match]
+ *                 description: |
+ *                   Order in which waiting participants are called: by joining time, fewest
+ *                   completed interviews first, or moved up for each matched priority profile
+ *               priorityProfiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Informatique, Génie civil, data science]
+ *                 description: |
+ *                   Profiles boosted by the profile_match policy. When empty, the profiles the
+ *                   enterprise gave on its registration form are used.
+ *     responses:
+ *       200:
+ *         description: The updated stand queue
+ *       400:
+ *         description: Invalid setting
+ *       404:
+ *         description: No stand queue for this enterprise
+ */
+router.put('/queue/settings',
+  authMiddleware,
+  checkPermission('stand:configure'),
+  async (req, res) => {
+    try {
+      const { before, standQueue } = await queueService.configureStand(req.user.enterpriseId, req.body);
+
+      await auditService.record(req, {
+        action: 'stand_queue.update',
+        entityType: 'stand_queue',
+        entityId: standQueue.id,
+        before,
+        after: standQueue
+      });
+
+      res.json({
+        success: true,
+        message: 'Stand settings updated',
+        standQueue
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/call-next:
  *   post:
- *     summary: Join an enterprise queue (Participant only)
- *     tags: [Enterprise Queue]
+ *     summary: Call the next waiting participant to your stand (Enterprise only)
+ *     description: |
+ *       Moves the first participant in line, in the order of the stand's ordering policy,
+ *       to Active and notifies them by email and on /api/queues/events. Participants being
+ *       interviewed at another stand keep their place and are passed over.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: The called queue entry
+ *       404:
+ *         description: No stand queue for this enterprise, or nobody is waiting
+ *       409:
+ *         description: The stand is already interviewing its maximum number of participants
+ */
+router.post('/queue/call-next',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+      const entry = await queueService.callNext(standQueue.id);
+
+      await auditService.record(req, {
+        action: 'queue_entry.call',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before: { status: 'Waiting' },
+        after: { status: entry.status, calledAt: entry.calledAt }
+      });
+
+      const participant = await User.findByPk(entry.userId);
+      await emailService.sendQueueCalledEmail(participant, standQueue.Enterprise.name);
+
+      res.json({
+        success: true,
+        message: 'Participant called',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/entries/{entryId}/complete:
+ *   post:
+ *     summary: Mark the interview of a participant at your stand as done (Enterprise only)
+ *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
  *     parameters:
  *       - in: path
- *         name: enterpriseId
+ *         name: entryId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Successfully joined queue
- *       400:
- *         description: Queue is full or user already in queue
+ *         description: Interview completed
+ *       404:
+ *         description: Queue entry not found at your stand
+ *       409:
+ *         description: The participant is not being interviewed
  */
-router.post('/:enterpriseId/join',
+router.post('/queue/entries/:entryId/complete',
   authMiddleware,
-  checkRole('Participant'),
+  checkPermission('stand:manage'),
   async (req, res) => {
     try {
-      const { enterpriseId } = req.params;
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+      const { before, entry } = await queueService.complete(req.params.entryId, { standQueueId: standQueue.id });
 
-      // Check if user is already in any active queue
-      const existingEntry = await QueueEntry.findOne({
-        where: {
-          userId: req.user.id,
-          status: 'Active'
-        }
+      await auditService.record(req, {
+        action: 'queue_entry.complete',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
-      if (existingEntry) {
-        return res.status(400).json({
-          error: 'You are already in an active queue'
-        });
+      res.json({
+        success: true,
+        message: 'Interview completed',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/entries/{entryId}/skip:
+ *   post:
+ *     summary: Skip a participant and send them to the back of your line (Enterprise only)
+ *     description: Works for waiting participants and for called participants who did not show up.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Participant moved to the back of the line
+ *       404:
+ *         description: Queue entry not found at your stand
+ *       409:
+ *         description: The entry is no longer waiting or called
+ */
+router.post('/queue/entries/:entryId/skip',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+      const { before, entry } = await queueService.skip(req.params.entryId, { standQueueId: standQueue.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.skip',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
+      });
+
+      res.json({
+        success: true,
+        message: 'Participant moved to the back of the line',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/check-in:
+ *   post:
+ *     summary: Check a participant in by scanning their QR code (Enterprise only)
+ *     description: |
+ *       The token must be signed by the API, unexpired and issued for your stand. A called
+ *       participant's interview starts; a waiting participant is moved to Active if the
+ *       stand has room.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Participant checked in
+ *       400:
+ *         description: Invalid or expired QR code, or issued for another stand
+ *       409:
+ *         description: Already checked in, no longer in line, or the stand is full
+ */
+router.post('/queue/check-in',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+
+      let payload;
+      try {
+        payload = QrTokens.verify(req.body.token, standQueue.id);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
 
-      // Get or create queue for this enterprise
-      let [standQueue] = await StandQueue.findOrCreate({
-        where: { enterpriseId },
-        defaults: {
-          status: 'Open',
-          currentParticipants: 0
-        }
+      const { before, entry } = await queueService.checkIn(payload.e, { standQueueId: standQueue.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.check_in',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
-      // Check if queue is full (max 2 concurrent participants)
-      if (standQueue.currentParticipants >= 2) {
-        return res.status(400).json({
-          error: 'Queue is full (maximum 2 concurrent participants)'
-        });
+      res.json({
+        success: true,
+        message: 'Participant checked in',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/check-out:
+ *   post:
+ *     summary: Check a participant out by scanning their QR code (Enterprise only)
+ *     description: Completes the interview, like /api/enterprise/queue/entries/{entryId}/complete.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview completed
+ *       400:
+ *         description: Invalid or expired QR code, or issued for another stand
+ *       409:
+ *         description: The participant is not being interviewed
+ */
+router.post('/queue/check-out',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+
+      let payload;
+      try {
+        payload = QrTokens.verify(req.body.token, standQueue.id);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
 
-      // Create queue entry
-      const queueEntry = await QueueEntry.create({
-        userId: req.user.id,
-        standQueueId: standQueue.id,
-        status: 'Active'
+      const { before, entry } = await queueService.complete(payload.e, { standQueueId: standQueue.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.check_out',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
+      });
+
+      res.json({
+        success: true,
+        message: 'Participant checked out',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/entries/{entryId}/check-in:
+ *   post:
+ *     summary: Confirm that a participant arrived at your stand (Enterprise only)
+ *     description: |
+ *       Manual alternative to scanning the participant's QR code with /api/enterprise/queue/check-in.
+ *       Starts the interview and stops the participant from being marked as a no-show.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Participant checked in
+ *       404:
+ *         description: Queue entry not found at your stand
+ *       409:
+ *         description: Already checked in, no longer in line, or the stand is full
+ */
+router.post('/queue/entries/:entryId/check-in',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+      const { before, entry } = await queueService.checkIn(req.params.entryId, { standQueueId: standQueue.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.check_in',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
+      });
+
+      res.json({
+        success: true,
+        message: 'Participant checked in',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/entries/{entryId}/no-show:
+ *   post:
+ *     summary: Mark a called participant who did not come as a no-show (Enterprise only)
+ *     description: |
+ *       Frees their spot without waiting for the stand's no-show timeout and counts the
+ *       no-show against the participant.
+ *     tags: [Enterprise]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry marked as a no-show
+ *       404:
+ *         description: Queue entry not found at your stand
+ *       409:
+ *         description: The participant was not called
+ */
+router.post('/queue/entries/:entryId/no-show',
+  authMiddleware,
+  checkPermission('stand:manage'),
+  async (req, res) => {
+    try {
+      const standQueue = await queueService.findStandForEnterprise(req.user.enterpriseId);
+      const { before, entry } = await queueService.markNoShow(req.params.entryId, { standQueueId: standQueue.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.no_show',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
-      // Update queue count
-      await standQueue.update({
-        currentParticipants: standQueue.currentParticipants + 1
+      res.json({
+        success: true,
+        message: 'Participant marked as a no-show',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/enterprise/queue/{enterpriseId}/join:
+ *   post:
+ *     summary: Join an enterprise queue (Participant only)
+ *     description: Same rules as /api/queues/join; the participant is added with status Waiting.
+ *     tags: [Enterprise Queue]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enterpriseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully joined queue
+ *       400:
+ *         description: Stand closed, full, paused or outside its opening hours, already in this queue, or in too many queues
+ */
+router.post('/:enterpriseId/join',
+  authMiddleware,
+  checkPermission('queues:join'),
+  checkVerified,
+  async (req, res) => {
+    try {
+      const queueEntry = await queueService.join(req.user.id, req.params.enterpriseId);
+
+      await auditService.record(req, {
+        action: 'queue_entry.join',
+        entityType: 'queue_entry',
+        entityId: queueEntry.id,
+        after: queueEntry
       });
 
       res.json({
@@ -170,7 +644,7 @@ router.post('/:enterpriseId/join',
         queueEntry
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -188,38 +662,25 @@ router.post('/:enterpriseId/join',
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully left queue
+ *       404:
+ *         description: Not waiting in or being interviewed at this queue
  */
 router.post('/:enterpriseId/leave',
   authMiddleware,
-  checkRole('Participant'),
+  checkPermission('queues:join'),
   async (req, res) => {
     try {
-      const { enterpriseId } = req.params;
+      const { before, entry } = await queueService.leave(req.user.id, req.params.enterpriseId);
 
-      // Find user's queue entry
-      const queueEntry = await QueueEntry.findOne({
-        where: {
-          userId: req.user.id,
-          status: 'Active'
-        },
-        include: [{
-          model: StandQueue,
-          where: { enterpriseId }
-        }]
-      });
-
-      if (!queueEntry) {
-        return res.status(404).json({
-          error: 'You are not in this queue'
-        });
-      }
-
-      // Update queue entry status
-      await queueEntry.update({ status: 'Left' });
-
-      // Update queue count
-      await queueEntry.StandQueue.update({
-        currentParticipants: Math.max(0, queueEntry.StandQueue.currentParticipants - 1)
+      await auditService.record(req, {
+        action: 'queue_entry.leave',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
       res.json({
@@ -227,7 +688,7 @@ router.post('/:enterpriseId/leave',
         message: 'Successfully left queue'
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -1,119 +1,116 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 
 const router = express.Router();
-const dataFilePath = path.join(__dirname, '../data/clean_sheet_data.json');
 
 const authMiddleware = require('../apis/authMiddleware');
+const checkPermission = require('../middleware/checkPermission');
 const emailService = require('../services/emailService');
-const Auth = require('../apis/auth');
+const auditService = require('../services/auditService');
+const enterpriseService = require('../services/enterpriseService');
 
-const checkRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: `Unauthorized. Requires one of the following roles: ${roles.join(', ')}` 
-      });
-    }
-    next();
-  };
-};
-
-/**
- * Read JSON file and parse it.
- */
-function readData() {
-    try {
-        const rawData = fs.readFileSync(dataFilePath, 'utf8');
-        return JSON.parse(rawData);
-    } catch (err) {
-        console.error('Error reading data file:', err);
-        return [];
-    }
+function sendError(res, error) {
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ error: 'An enterprise with this name already exists' });
+  }
+  res.status(error.status || 500).json({ error: error.message });
 }
 
 /**
- * Write data back to JSON file.
+ * @swagger
+ * components:
+ *   schemas:
+ *     Enterprise:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         contactPosition:
+ *           type: string
+ *           description: Role of the person who registered the enterprise
+ *         address:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         website:
+ *           type: string
+ *         representativeCount:
+ *           type: integer
+ *         participatedBefore:
+ *           type: boolean
+ *         interestedProfiles:
+ *           type: string
+ *         jobOpenings:
+ *           type: integer
+ *         internshipOpenings:
+ *           type: integer
+ *         answers:
+ *           type: object
+ *           description: Other registration form answers, keyed by question
+ *         contactStatus:
+ *           type: string
+ *           enum: [pending, contacted, failed]
+ *         contactResult:
+ *           type: string
+ *         numberOfCalls:
+ *           type: integer
+ *           description: Number of times the enterprise has been called
  */
-function writeData(data) {
-    try {
-        fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2), 'utf8');
-    } catch (err) {
-        console.error('Error writing to data file:', err);
-    }
-}
 
 /**
  * @swagger
- * /api/enterprise/{name}:
+ * /api/enterprise/{id}:
  *   get:
- *     summary: Get enterprise contact details by name (Admin and Organizer only)
+ *     summary: Get an enterprise with its accounts and stand queue (Admin and Organizer only)
  *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
  *     parameters:
  *       - in: path
- *         name: name
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Enterprise name
  *     responses:
  *       200:
- *         description: Enterprise contact details
+ *         description: Enterprise details
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 name:
- *                   type: string
- *                 position:
- *                   type: string
- *                 address:
- *                   type: string
- *                 phone:
- *                   type: string
- *                 email:
- *                   type: string
- *                 website:
- *                   type: string
- *                 contact_status:
- *                   type: string
- *                 contact_result:
- *                   type: string
- *                 number_of_calls:
- *                   type: integer
- *                   description: Number of times the enterprise has been called
+ *               $ref: '#/components/schemas/Enterprise'
  *       404:
  *         description: Enterprise not found
  */
-router.get('/:name', 
-    authMiddleware,
-    checkRole(['Admin', 'Organizer']),
-    (req, res) => {
-    const enterprises = readData();
-    const enterprise = enterprises.find(e => e["Nom de l'entreprise"]?.toLowerCase() === req.params.name.toLowerCase());
-
-    if (!enterprise) {
-        return res.status(404).json({ error: 'Enterprise not found' });
+router.get('/:id',
+  authMiddleware,
+  checkPermission('enterprises:read'),
+  async (req, res) => {
+    try {
+      res.json(await enterpriseService.get(req.params.id));
+    } catch (error) {
+      sendError(res, error);
     }
-
-    res.json(enterprise);
 });
 
 /**
  * @swagger
- * /api/enterprise/{name}/status:
+ * /api/enterprise/{id}/status:
  *   put:
  *     summary: Update enterprise contact status and result (Admin and Organizer only)
+ *     description: Setting contactResult to "interested" notifies the organizers by email.
  *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
  *     parameters:
  *       - in: path
- *         name: name
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
@@ -124,51 +121,75 @@ router.get('/:name',
  *           schema:
  *             type: object
  *             properties:
- *               contact_status:
+ *               contactStatus:
  *                 type: string
  *                 enum: [pending, contacted, failed]
+ *               contactResult:
+ *                 type: string
+ *               contact_status:
+ *                 type: string
+ *                 deprecated: true
+ *                 description: Former name of contactStatus
  *               contact_result:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Former name of contactResult
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Neither a status nor a result was given, or the status is invalid
+ *       404:
+ *         description: Enterprise not found
  */
-router.put('/:name/status', 
-    authMiddleware,
-    checkRole(['Admin', 'Organizer']),
-    async (req, res) => {
-    const { contact_status, contact_result } = req.body;
-    let enterprises = readData();
-    
-    const index = enterprises.findIndex(e => e["Nom de l'entreprise"]?.toLowerCase() === req.params.name.toLowerCase());
-    
-    if (index === -1) {
-        return res.status(404).json({ error: 'Enterprise not found' });
-    }
+router.put('/:id/status',
+  authMiddleware,
+  checkPermission('enterprises:update'),
+  async (req, res) => {
+    try {
+      // contact_status and contact_result are the names clients used before enterprises
+      // moved into the database
+      const contactStatus = req.body.contactStatus ?? req.body.contact_status;
+      const contactResult = req.body.contactResult ?? req.body.contact_result;
+      if (!contactStatus && !contactResult) {
+        return res.status(400).json({ error: 'contactStatus or contactResult is required' });
+      }
 
-    // Update enterprise details
-    enterprises[index].contact_status = contact_status || enterprises[index].contact_status;
-    enterprises[index].contact_result = contact_result || enterprises[index].contact_result;
+      const { before, enterprise } = await enterpriseService.update(req.params.id, {
+        contactStatus: contactStatus || undefined,
+        contactResult: contactResult || undefined
+      });
 
-    // Send email if contact_result is set to "interested"
-    if (contact_result === 'interested') {
+      // Send email if contactResult is set to "interested"
+      if (contactResult === 'interested') {
         try {
-            await emailService.sendInterestEmail(enterprises[index]);
+          await emailService.sendInterestEmail(enterprise);
         } catch (error) {
-            console.error('Failed to send interest email:', error);
-            // Continue with the update even if email fails
+          console.error('Failed to send interest email:', error);
+          // Continue with the update even if email fails
         }
-    }
+      }
 
-    // Write updated data back to JSON file
-    writeData(enterprises);
+      await auditService.record(req, {
+        action: 'enterprise.status.update',
+        entityType: 'enterprise',
+        entityId: enterprise.id,
+        before,
+        after: enterprise
+      });
 
-    res.json({ 
+      res.json({
         message: 'Status updated successfully',
-        emailSent: contact_result === 'interested'
-    });
+        emailSent: contactResult === 'interested'
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
 });
 
 /**
  * @swagger
- * /api/enterprise/{name}:
+ * /api/enterprise/{id}:
  *   patch:
  *     summary: Partially update enterprise details (Admin and Organizer only)
  *     tags: [Enterprise]
@@ -176,7 +197,7 @@ router.put('/:name/status',
  *       - sessionAuth: []
  *     parameters:
  *       - in: path
- *         name: name
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
@@ -188,41 +209,55 @@ router.put('/:name/status',
  *             type: object
  *             properties:
  *               updates:
- *                 type: object
+ *                 $ref: '#/components/schemas/Enterprise'
+ *     responses:
+ *       200:
+ *         description: Enterprise updated; id and numberOfCalls can't be changed
+ *       400:
+ *         description: Invalid enterprise data
+ *       404:
+ *         description: Enterprise not found
+ *       409:
+ *         description: Another enterprise already has this name
  */
-router.patch('/:name', 
-    authMiddleware,
-    checkRole(['Admin', 'Organizer']),
-    (req, res) => {
-    const { updates } = req.body;
-    let enterprises = readData();
-    
-    const index = enterprises.findIndex(e => e["Nom de l'entreprise"]?.toLowerCase() === req.params.name.toLowerCase());
-    
-    if (index === -1) {
-        return res.status(404).json({ error: 'Enterprise not found' });
-    }
+router.patch('/:id',
+  authMiddleware,
+  checkPermission('enterprises:update'),
+  async (req, res) => {
+    try {
+      const { before, enterprise } = await enterpriseService.update(req.params.id, req.body.updates);
 
-    enterprises[index] = { ...enterprises[index], ...updates };
-    writeData(enterprises);
+      await auditService.record(req, {
+        action: 'enterprise.update',
+        entityType: 'enterprise',
+        entityId: enterprise.id,
+        before,
+        after: enterprise
+      });
 
-    res.json({
+      res.json({
         message: 'Enterprise updated successfully',
-        updatedEnterprise: enterprises[index]
-    });
+        updatedEnterprise: enterprise
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
 });
 
 /**
  * @swagger
- * /api/enterprise/{name}:
+ * /api/enterprise/{id}:
  *   delete:
  *     summary: Delete an enterprise (Admin only)
+ *     description: |
+ *       Also removes its interview slots and unlinks its accounts. Enterprises with a stand
+ *       queue are kept for their interview history.
  *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
  *     parameters:
  *       - in: path
- *         name: name
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
@@ -231,23 +266,27 @@ router.patch('/:name',
  *         description: Enterprise deleted successfully
  *       404:
  *         description: Enterprise not found
+ *       409:
+ *         description: The enterprise has a stand queue
  */
-router.delete('/:name', 
-    authMiddleware,
-    checkRole(['Admin']),
-    (req, res) => {
-    let enterprises = readData();
-    
-    const index = enterprises.findIndex(e => e["Nom de l'entreprise"]?.toLowerCase() === req.params.name.toLowerCase());
-    
-    if (index === -1) {
-        return res.status(404).json({ error: 'Enterprise not found' });
-    }
+router.delete('/:id',
+  authMiddleware,
+  checkPermission('enterprises:delete'),
+  async (req, res) => {
+    try {
+      const deleted = await enterpriseService.remove(req.params.id);
 
-    enterprises.splice(index, 1);
-    writeData(enterprises);
+      await auditService.record(req, {
+        action: 'enterprise.delete',
+        entityType: 'enterprise',
+        entityId: deleted.id,
+        before: deleted
+      });
 
-    res.json({ message: 'Enterprise deleted successfully' });
+      res.json({ message: 'Enterprise deleted successfully' });
+    } catch (error) {
+      sendError(res, error);
+    }
 });
 
 /**
@@ -260,45 +299,24 @@ router.delete('/:name',
  *       - sessionAuth: []
  *     responses:
  *       200:
- *         description: List of all enterprises
+ *         description: List of all enterprises, by name
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   name:
- *                     type: string
- *                   position:
- *                     type: string
- *                   address:
- *                     type: string
- *                   phone:
- *                     type: string
- *                   email:
- *                     type: string
- *                   website:
- *                     type: string
- *                   contact_status:
- *                     type: string
- *                   contact_result:
- *                     type: string
- *                   number_of_calls:
- *                     type: integer
- *                     description: Number of times the enterprise has been called
+ *                 $ref: '#/components/schemas/Enterprise'
  *       403:
  *         description: Forbidden - User must be an Admin or Organizer
  */
 router.get('/',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
-  (req, res) => {
+  checkPermission('enterprises:read'),
+  async (req, res) => {
     try {
-      const enterprises = readData();
-      res.json(enterprises);
+      res.json(await enterpriseService.list());
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
@@ -306,7 +324,7 @@ router.get('/',
  * @swagger
  * /api/enterprise/create:
  *   post:
- *     summary: Create a new enterprise (Admin only)
+ *     summary: Create a new enterprise with its login account (Admin only)
  *     tags: [Enterprise]
  *     security:
  *       - sessionAuth: []
@@ -326,63 +344,39 @@ router.get('/',
  *               password:
  *                 type: string
  *               enterpriseData:
- *                 type: object
- *                 properties:
- *                   name:
- *                     type: string
- *                   position:
- *                     type: string
- *                   address:
- *                     type: string
- *                   phone:
- *                     type: string
- *                   email:
- *                     type: string
- *                   website:
- *                     type: string
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Enterprise'
+ *                   - type: object
+ *                     properties:
+ *                       position:
+ *                         type: string
+ *                         deprecated: true
+ *                         description: Former name of contactPosition, used when contactPosition is not given
+ *     responses:
+ *       201:
+ *         description: Enterprise and account created
+ *       400:
+ *         description: Missing or invalid data, or username already taken
+ *       409:
+ *         description: Another enterprise already has this name
  */
 router.post('/create',
   authMiddleware,
-  checkRole(['Admin']),
+  checkPermission('enterprises:create'),
   async (req, res) => {
     try {
-      const { username, password, enterpriseData } = req.body;
-
-      // Create enterprise user account
-      const userId = await Auth.register(username, password, 'Enterprise');
-
-      // Read existing data
-      let enterprises = [];
-      try {
-        enterprises = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
-      } catch (error) {
-        console.error('Error reading file:', error);
-        enterprises = [];
-      }
+      const { enterprise, userId } = await enterpriseService.create(req.body);
 
-      // Format enterprise data
-      const newEnterprise = {
-        "Nom de l'entreprise": enterpriseData.name,
-        "Votre poste": enterpriseData.position,
-        "Adresse": enterpriseData.address,
-        "Numéro de téléphone": enterpriseData.phone,
-        "E-mail": enterpriseData.email,
-        "Site Web": enterpriseData.website,
-        "contact_status": "pending",
-        "contact_result": null,
-        "number_of_calls": 0,
-        "userId": userId // Link to the user account
-      };
-
-      // Add to enterprises array
-      enterprises.push(newEnterprise);
-
-      // Write back to file
-      fs.writeFileSync(dataFilePath, JSON.stringify(enterprises, null, 2), 'utf8');
+      await auditService.record(req, {
+        action: 'enterprise.create',
+        entityType: 'enterprise',
+        entityId: enterprise.id,
+        after: enterprise
+      });
 
       // Send confirmation email if email service is configured
       try {
-        await emailService.sendInterestEmail(newEnterprise);
+        await emailService.sendInterestEmail(enterprise);
       } catch (emailError) {
         console.error('Error sending email:', emailError);
         // Continue even if email fails
@@ -392,12 +386,11 @@ router.post('/create',
         success: true,
         message: 'Enterprise created successfully',
         userId,
-        enterprise: newEnterprise
+        enterprise
       });
-
     } catch (error) {
       console.error('Error creating enterprise:', error);
-      res.status(500).json({ error: error.message });
+      sendError(res, error);
     }
 });
 
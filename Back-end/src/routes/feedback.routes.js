@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../apis/authMiddleware');
 const { Feedback } = require('../models');
-const checkRole = require('../middleware/checkRole');
+const checkPermission = require('../middleware/checkPermission');
 
 /**
  * @swagger
@@ -30,7 +30,7 @@ const checkRole = require('../middleware/checkRole');
  */
 router.post('/',
   authMiddleware,
-  checkRole('Participant'),
+  checkPermission('feedback:submit'),
   async (req, res) => {
     try {
       const { content, sentiment } = req.body;
@@ -69,7 +69,7 @@ router.post('/',
  */
 router.get('/',
   authMiddleware,
-  checkRole(['Admin']),
+  checkPermission('feedback:read'),
   async (req, res) => {
     try {
       const feedback = await Feedback.findAll({
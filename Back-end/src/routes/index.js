@@ -9,15 +9,25 @@ const enterpriseQueueRoutes = require('./enterprise.queue.routes');
 const queuesRoutes = require('./queues.routes');
 const userRoutes = require('./user.routes');
 const feedbackRoutes = require('./feedback.routes');
+const permissionsRoutes = require('./permissions.routes');
+const auditRoutes = require('./audit.routes');
+const slotsRoutes = require('./slots.routes');
 
 // Mount routes with their base paths
 router.use('/auth', authRoutes);
 router.use('/contacts', contactsRoutes);
+// The stand routes (/enterprise/queue/...) come first, before /enterprise/:id would
+// take "queue" for an enterprise id. Joining and leaving are also served under
+// /enterprise/queue/:enterpriseId.
+router.use('/enterprise', enterpriseQueueRoutes);
 router.use('/enterprise', enterpriseRoutes);
 router.use('/enterprise/queue', enterpriseQueueRoutes);
 router.use('/queues', queuesRoutes);
 router.use('/users', userRoutes);
 router.use('/feedback', feedbackRoutes);
+router.use('/permissions', permissionsRoutes);
+router.use('/audit-logs', auditRoutes);
+router.use('/slots', slotsRoutes);
 
 // Basic health check route
 router.get('/health', (req, res) => {
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../apis/authMiddleware');
+const checkPermission = require('../middleware/checkPermission');
+const Permissions = require('../apis/permissions');
+const auditService = require('../services/auditService');
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: List all permissions and the roles holding them (requires permissions:manage)
+ *     tags: [Permissions]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission registry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: contacts:assign
+ *                   description:
+ *                     type: string
+ *                   roles:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ */
+router.get('/',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      res.json(await Permissions.list());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/permissions/roles:
+ *   get:
+ *     summary: Get the permissions of every role (requires permissions:manage)
+ *     tags: [Permissions]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Map of role to permission names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.get('/roles',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      res.json(await Permissions.forRoles());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/permissions/roles/{role}:
+ *   put:
+ *     summary: Replace the permissions of a role (requires permissions:manage)
+ *     tags: [Permissions]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Admin, Organizer, Participant, Enterprise]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role permissions updated
+ *       400:
+ *         description: Unknown role or permission, or Admin would lose permissions:manage
+ */
+router.put('/roles/:role',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      const before = (await Permissions.forRoles())[req.params.role];
+      await Permissions.setRolePermissions(req.params.role, req.body.permissions);
+      await auditService.record(req, {
+        action: 'role.permissions.update',
+        entityType: 'role',
+        entityId: req.params.role,
+        before: { permissions: before },
+        after: { permissions: (await Permissions.forRoles())[req.params.role] }
+      });
+      res.json({ success: true, message: 'Role permissions updated successfully' });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
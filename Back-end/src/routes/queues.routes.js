@@ -3,7 +3,15 @@ const router = express.Router();
 const authMiddleware = require('../apis/authMiddleware');
 const { StandQueue, QueueEntry } = require('../models');
 const { Op } = require('sequelize');
-const checkRole = require('../middleware/checkRole');
+const checkPermission = require('../middleware/checkPermission');
+const checkVerified = require('../middleware/checkVerified');
+const Permissions = require('../apis/permissions');
+const auditService = require('../services/auditService');
+const queueEvents = require('../services/queueEvents');
+const queuePositions = require('../services/queuePositions');
+const queueService = require('../services/queueService');
+const QrTokens = require('../apis/qrTokens');
+const queueConfig = require('../config/queue');
 
 /**
  * @swagger
@@ -24,39 +32,86 @@ const checkRole = require('../middleware/checkRole');
  *             properties:
  *               enterpriseId:
  *                 type: string
+ *                 description: Id of the enterprise owning the stand, see /api/enterprise
  *               status:
  *                 type: string
  *                 enum: [Open, Full, Closed]
- *               currentParticipants:
+ *               maxConcurrent:
  *                 type: integer
- *                 minimum: 0
- *                 maximum: 4
+ *                 minimum: 1
+ *                 description: Participants interviewed at the same time
+ *               noShowTimeoutMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Minutes a called participant has to check in before being marked as a no-show
+ *               waitingExpiryMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Minutes after which a waiting participant is dropped from the line
+ *               maxWaiting:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Longest the waiting line may get
+ *               openingTime:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "09:30"
+ *                 description: Time of day (HH:MM, server time) from which participants may join
+ *               closingTime:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "17:00"
+ *                 description: Time of day (HH:MM, server time) after which participants may no longer join
+ *               paused:
+ *                 type: boolean
+ *                 description: Stop taking new participants; resuming clears the pause reason and expected resume time
+ *               pauseReason:
+ *                 type: string
+ *                 nullable: true
+ *               expectedResumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               orderingPolicy:
+ *                 type: string
+ *                 enum: [fifo, fewest_interviews, profile_match]
+ *                 description: |
+ *                   Order in which waiting participants are called: by joining time, fewest
+ *                   completed interviews first, or moved up for each matched priority profile
+ *               priorityProfiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Informatique, Génie civil, data science]
+ *                 description: |
+ *                   Profiles boosted by the profile_match policy. When empty, the profiles the
+ *                   enterprise gave on its registration form are used.
  */
 router.post('/stand', 
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('queues:manage'),
   async (req, res) => {
     try {
-      const { enterpriseId, status, currentParticipants } = req.body;
-      
-      let standQueue = await StandQueue.findOne({ where: { enterpriseId } });
-      
-      if (standQueue) {
-        standQueue = await standQueue.update({
-          status,
-          currentParticipants
-        });
-      } else {
-        standQueue = await StandQueue.create({
-          enterpriseId,
-          status,
-          currentParticipants
-        });
-      }
+      const { enterpriseId, ...settings } = req.body;
+      const { before, standQueue } = await queueService.saveStand(enterpriseId, settings);
+
+      await auditService.record(req, {
+        action: before ? 'stand_queue.update' : 'stand_queue.create',
+        entityType: 'stand_queue',
+        entityId: standQueue.id,
+        before,
+        after: standQueue
+      });
 
       res.json(standQueue);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+      }
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -65,6 +120,7 @@ router.post('/stand',
  * /api/queues/join:
  *   post:
  *     summary: Join a stand queue (Participant only)
+ *     description: Adds the participant at the back of the line with status Waiting.
  *     tags: [Queues]
  *     security:
  *       - sessionAuth: []
@@ -79,56 +135,30 @@ router.post('/stand',
  *             properties:
  *               enterpriseId:
  *                 type: string
+ *     responses:
+ *       200:
+ *         description: The new queue entry
+ *       400:
+ *         description: Stand closed, full, paused or outside its opening hours, already in this queue, or in too many queues
  */
 router.post('/join',
   authMiddleware,
-  checkRole(['Participant']),
+  checkPermission('queues:join'),
+  checkVerified,
   async (req, res) => {
     try {
-      const { enterpriseId } = req.body;
-      
-      // Check if participant is already in 2 queues
-      const activeQueues = await QueueEntry.count({
-        where: {
-          userId: req.user.id,
-          status: {
-            [Op.in]: ['Waiting', 'Active']
-          }
-        }
-      });
-
-      if (activeQueues >= 2) {
-        return res.status(400).json({
-          error: 'You can only be in 2 queues at a time'
-        });
-      }
-
-      // Check stand queue status
-      const standQueue = await StandQueue.findOne({
-        where: { enterpriseId }
-      });
-
-      if (!standQueue || standQueue.status === 'Closed') {
-        return res.status(400).json({
-          error: 'This stand queue is not available'
-        });
-      }
-
-      if (standQueue.status === 'Full' && standQueue.currentParticipants >= 4) {
-        return res.status(400).json({
-          error: 'This stand queue is full'
-        });
-      }
+      const queueEntry = await queueService.join(req.user.id, req.body.enterpriseId);
 
-      // Create queue entry
-      const queueEntry = await QueueEntry.create({
-        userId: req.user.id,
-        standQueueId: standQueue.id
+      await auditService.record(req, {
+        action: 'queue_entry.join',
+        entityType: 'queue_entry',
+        entityId: queueEntry.id,
+        after: queueEntry
       });
 
       res.json(queueEntry);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -146,32 +176,32 @@ router.post('/join',
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue entry updated
+ *       404:
+ *         description: Queue entry not found
+ *       409:
+ *         description: The entry is not Active
  */
 router.post('/:queueId/complete',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('queues:complete'),
   async (req, res) => {
     try {
-      const entry = await QueueEntry.findByPk(req.params.queueId);
-      if (!entry) {
-        return res.status(404).json({ error: 'Queue entry not found' });
-      }
-
-      const standQueue = await StandQueue.findByPk(entry.standQueueId);
-      
-      await entry.update({
-        status: 'Completed',
-        completedAt: new Date()
-      });
+      const { before, entry } = await queueService.complete(req.params.queueId);
 
-      await standQueue.update({
-        currentParticipants: Math.max(0, standQueue.currentParticipants - 1),
-        totalProcessed: standQueue.totalProcessed + 1
+      await auditService.record(req, {
+        action: 'queue_entry.complete',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
       res.json({ success: true });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -189,32 +219,32 @@ router.post('/:queueId/complete',
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue entry updated
+ *       404:
+ *         description: Queue entry not found
+ *       409:
+ *         description: The entry is not Completed
  */
 router.post('/:queueId/uncomplete',
   authMiddleware,
-  checkRole(['Admin', 'Organizer']),
+  checkPermission('queues:complete'),
   async (req, res) => {
     try {
-      const entry = await QueueEntry.findByPk(req.params.queueId);
-      if (!entry) {
-        return res.status(404).json({ error: 'Queue entry not found' });
-      }
+      const { before, entry } = await queueService.uncomplete(req.params.queueId);
 
-      const standQueue = await StandQueue.findByPk(entry.standQueueId);
-      
-      await entry.update({
-        status: 'Active',
-        completedAt: null
-      });
-
-      await standQueue.update({
-        currentParticipants: standQueue.currentParticipants + 1,
-        totalProcessed: Math.max(0, standQueue.totalProcessed - 1)
+      await auditService.record(req, {
+        action: 'queue_entry.uncomplete',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
       });
 
       res.json({ success: true });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -249,4 +279,371 @@ router.get('/status',
     }
 });
 
+/**
+ * @swagger
+ * /api/queues/me:
+ *   get:
+ *     summary: Get the queues you are in and the interviews you already had
+ *     tags: [Queues]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Current queue entries and visit history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 maxQueues:
+ *                   type: integer
+ *                   description: Queues a participant may be in at the same time
+ *                 current:
+ *                   type: array
+ *                   description: |
+ *                     Waiting and Active entries, with the fields of /api/queues/positions
+ *                     plus enterpriseName, joinedAt, calledAt and checkedInAt
+ *                   items:
+ *                     type: object
+ *                 history:
+ *                   type: array
+ *                   description: Completed interviews, most recent first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       entryId:
+ *                         type: string
+ *                       standQueueId:
+ *                         type: string
+ *                       enterpriseId:
+ *                         type: string
+ *                       enterpriseName:
+ *                         type: string
+ *                       joinedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       calledAt:
+ *                         type: string
+ *                         format: date-time
+ *                       checkedInAt:
+ *                         type: string
+ *                         format: date-time
+ *                       startedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       completedAt:
+ *                         type: string
+ *                         format: date-time
+ */
+router.get('/me',
+  authMiddleware,
+  checkPermission('queues:join'),
+  async (req, res) => {
+    try {
+      res.json(await queueService.forParticipant(req.user.id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/queues/entries/{entryId}/cancel:
+ *   post:
+ *     summary: Give up your place in a queue you are waiting in
+ *     tags: [Queues]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue entry cancelled
+ *       404:
+ *         description: You have no queue entry with this id
+ *       409:
+ *         description: The entry is no longer waiting
+ */
+router.post('/entries/:entryId/cancel',
+  authMiddleware,
+  checkPermission('queues:join'),
+  async (req, res) => {
+    try {
+      const { before, entry } = await queueService.cancel(req.params.entryId, { userId: req.user.id });
+
+      await auditService.record(req, {
+        action: 'queue_entry.cancel',
+        entityType: 'queue_entry',
+        entityId: entry.id,
+        before,
+        after: entry
+      });
+
+      res.json({
+        success: true,
+        message: 'Queue entry cancelled',
+        queueEntry: entry
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/queues/positions:
+ *   get:
+ *     summary: Get your position and estimated wait in each queue you are in
+ *     description: |
+ *       The estimate is based on the average duration of the stand's recent interviews and
+ *       the number of participants it interviews at the same time. Waiting entries are
+ *       numbered in the order of the stand's ordering policy; Active entries have
+ *       position 0. Updates are pushed as queue.positions events on /api/queues/events.
+ *     tags: [Queues]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: One item per queue the participant is waiting in or being interviewed at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   entryId:
+ *                     type: string
+ *                   standQueueId:
+ *                     type: string
+ *                   enterpriseId:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [Waiting, Active]
+ *                   position:
+ *                     type: integer
+ *                     example: 3
+ *                   estimatedWaitMs:
+ *                     type: integer
+ *                   estimatedStartAt:
+ *                     type: string
+ *                     format: date-time
+ *                   averageDurationMs:
+ *                     type: integer
+ */
+router.get('/positions',
+  authMiddleware,
+  checkPermission('queues:join'),
+  async (req, res) => {
+    try {
+      res.json(await queuePositions.forUser(req.user.id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/queues/entries/{entryId}/qr:
+ *   get:
+ *     summary: Get a signed check-in code for one of your queue entries
+ *     description: |
+ *       Render the token as a QR code for the stand to scan. It is bound to the entry's
+ *       stand and expires after a couple of minutes, so fetch a new one shortly before
+ *       it runs out.
+ *     tags: [Queues]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: No waiting or active entry with this id
+ */
+router.get('/entries/:entryId/qr',
+  authMiddleware,
+  checkPermission('queues:join'),
+  async (req, res) => {
+    try {
+      const entry = await QueueEntry.findOne({
+        where: {
+          id: req.params.entryId,
+          userId: req.user.id,
+          status: { [Op.in]: ['Waiting', 'Active'] }
+        }
+      });
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Queue entry not found' });
+      }
+
+      res.json(QrTokens.issue(entry));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/queues/qr-public-key:
+ *   get:
+ *     summary: Get the public key that signs check-in QR codes
+ *     description: |
+ *       Lets stand apps verify QR codes without a round trip. A token is
+ *       "<payload>.<signature>" in base64url, the signature being Ed25519 over the
+ *       encoded payload.
+ *     tags: [Queues]
+ *     responses:
+ *       200:
+ *         description: Ed25519 public key in PEM format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 algorithm:
+ *                   type: string
+ *                   example: Ed25519
+ *                 keyId:
+ *                   type: string
+ *                 publicKey:
+ *                   type: string
+ */
+router.get('/qr-public-key', (req, res) => {
+  res.json(QrTokens.publicKey());
+});
+
+/**
+ * @swagger
+ * /api/queues/events:
+ *   get:
+ *     summary: Stream queue changes as Server-Sent Events
+ *     description: |
+ *       Keeps the connection open and pushes an event whenever a queue entry is created,
+ *       started, completed, cancelled or left, or a stand changes status. Each move is followed
+ *       by a queue.positions event with the recalculated positions and wait estimates of the
+ *       stand. Without a filter every stand is streamed. Participants receive entries of other
+ *       participants without their userId, their own entries flagged with mine=true, and only
+ *       their own positions.
+ *     tags: [Queues]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: standQueueId
+ *         schema:
+ *           type: string
+ *         description: Only stream events of this stand queue
+ *       - in: query
+ *         name: enterpriseId
+ *         schema:
+ *           type: string
+ *         description: Only stream events of the stand of this enterprise
+ *     responses:
+ *       200:
+ *         description: text/event-stream of queue events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 12
+ *                 event: queue_entry.started
+ *                 data: {"id":12,"type":"queue_entry.started","standQueueId":"...","at":"...","entry":{...}}
+ *       404:
+ *         description: Stand queue not found
+ */
+router.get('/events',
+  authMiddleware,
+  async (req, res) => {
+    let standQueueId;
+    let seesAll;
+    let ownStands;
+
+    try {
+      standQueueId = req.query.standQueueId;
+      if (!standQueueId && req.query.enterpriseId) {
+        const standQueue = await StandQueue.findOne({ where: { enterpriseId: req.query.enterpriseId } });
+        if (!standQueue) {
+          return res.status(404).json({ error: 'Stand queue not found' });
+        }
+        standQueueId = standQueue.id;
+      }
+
+      // Staff and the enterprise owning a stand see who is in line; others only see themselves
+      seesAll = await Permissions.has(req, 'queues:manage');
+      ownStands = (await StandQueue.findAll({
+        where: { enterpriseId: req.user.enterpriseId },
+        attributes: ['id']
+      })).map(standQueue => standQueue.id);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const visible = (event) => {
+      if (seesAll || ownStands.includes(event.standQueueId)) {
+        return event;
+      }
+      if (event.positions) {
+        return {
+          ...event,
+          positions: event.positions
+            .filter(position => position.userId === req.user.id)
+            .map(({ userId, ...position }) => position)
+        };
+      }
+      if (event.entry) {
+        const { userId, ...entry } = event.entry;
+        return { ...event, entry: { ...entry, mine: userId === req.user.id } };
+      }
+      return event;
+    };
+
+    const send = (event) => {
+      if (standQueueId && event.standQueueId !== standQueueId) {
+        return;
+      }
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(visible(event))}\n\n`);
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${queueConfig.eventsRetryMs}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), queueConfig.eventsHeartbeatMs);
+    queueEvents.on('event', send);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      queueEvents.off('event', send);
+    });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../apis/authMiddleware');
+const checkPermission = require('../middleware/checkPermission');
+const checkVerified = require('../middleware/checkVerified');
+const auditService = require('../services/auditService');
+const slotService = require('../services/slotService');
+
+// Slots are published for the enterprise the account belongs to
+function requireEnterprise(req, res, next) {
+  if (!req.user.enterpriseId) {
+    return res.status(403).json({ error: 'No enterprise linked to this account' });
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterviewSlot:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         enterpriseId:
+ *           type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         durationMinutes:
+ *           type: integer
+ *           example: 20
+ *         capacity:
+ *           type: integer
+ *           example: 1
+ *         bookedCount:
+ *           type: integer
+ *         available:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [Open, Cancelled]
+ */
+
+/**
+ * @swagger
+ * /api/slots:
+ *   get:
+ *     summary: List upcoming interview slots
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: enterpriseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Open slots, earliest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InterviewSlot'
+ */
+router.get('/',
+  authMiddleware,
+  checkPermission('slots:read'),
+  async (req, res) => {
+    try {
+      const { enterpriseId, from, to } = req.query;
+      res.json(await slotService.list({ enterpriseId, from, to }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/slots:
+ *   post:
+ *     summary: Publish an interview slot at your stand (Enterprise only)
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startsAt
+ *               - durationMinutes
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 240
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Slot created
+ *       400:
+ *         description: Invalid or past start time, duration or capacity
+ *       403:
+ *         description: No enterprise linked to this account
+ */
+router.post('/',
+  authMiddleware,
+  checkPermission('slots:manage'),
+  requireEnterprise,
+  async (req, res) => {
+    try {
+      const { startsAt, durationMinutes, capacity } = req.body;
+      const slot = await slotService.create(req.user.enterpriseId, { startsAt, durationMinutes, capacity });
+
+      await auditService.record(req, {
+        action: 'slot.create',
+        entityType: 'interview_slot',
+        entityId: slot.id,
+        after: slot
+      });
+
+      res.status(201).json(slot);
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/slots/bookings:
+ *   get:
+ *     summary: List your booked slots (Participant only)
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Active bookings with their slot, earliest first
+ */
+router.get('/bookings',
+  authMiddleware,
+  checkPermission('slots:book'),
+  async (req, res) => {
+    try {
+      res.json(await slotService.forUser(req.user.id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/slots/bookings/{bookingId}:
+ *   delete:
+ *     summary: Cancel one of your bookings (Participant only)
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking cancelled
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Already cancelled, or the slot has started
+ */
+router.delete('/bookings/:bookingId',
+  authMiddleware,
+  checkPermission('slots:book'),
+  async (req, res) => {
+    try {
+      const { before, booking } = await slotService.cancelBooking(req.user.id, req.params.bookingId);
+
+      await auditService.record(req, {
+        action: 'slot_booking.cancel',
+        entityType: 'slot_booking',
+        entityId: booking.id,
+        before,
+        after: booking
+      });
+
+      res.json({ success: true, message: 'Booking cancelled successfully' });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/slots/{id}/book:
+ *   post:
+ *     summary: Book an interview slot (Participant only)
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Slot booked
+ *       404:
+ *         description: Slot not found or cancelled
+ *       409:
+ *         description: Slot full or started, already booked, or overlapping another booking
+ */
+router.post('/:id/book',
+  authMiddleware,
+  checkPermission('slots:book'),
+  checkVerified,
+  async (req, res) => {
+    try {
+      const booking = await slotService.book(req.user.id, req.params.id);
+
+      await auditService.record(req, {
+        action: 'slot_booking.create',
+        entityType: 'slot_booking',
+        entityId: booking.id,
+        after: booking
+      });
+
+      res.status(201).json(booking);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/slots/{id}:
+ *   delete:
+ *     summary: Cancel one of your slots and all its bookings (Enterprise only)
+ *     tags: [Slots]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot cancelled
+ *       403:
+ *         description: No enterprise linked to this account
+ *       404:
+ *         description: Slot not found
+ */
+router.delete('/:id',
+  authMiddleware,
+  checkPermission('slots:manage'),
+  requireEnterprise,
+  async (req, res) => {
+    try {
+      const { before, slot } = await slotService.cancelSlot(req.user.enterpriseId, req.params.id);
+
+      await auditService.record(req, {
+        action: 'slot.cancel',
+        entityType: 'interview_slot',
+        entityId: slot.id,
+        before,
+        after: slot
+      });
+
+      res.json({ success: true, message: 'Slot cancelled successfully' });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
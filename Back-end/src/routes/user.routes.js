@@ -3,7 +3,17 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { Op } = require('sequelize');
 const authMiddleware = require('../apis/authMiddleware');
+const checkPermission = require('../middleware/checkPermission');
+const Auth = require('../apis/auth');
+const TwoFactor = require('../apis/twoFactor');
+const Permissions = require('../apis/permissions');
+const auditService = require('../services/auditService');
+const { User, LoginAttempt } = require('../models');
+
+// Never send credentials back to clients
+const USER_ATTRIBUTES = { exclude: ['passwordHash', 'salt', 'totpSecret', 'totpBackupCodes', 'totpLastUsedStep'] };
 
 // Configure multer for PDF uploads
 const storage = multer.diskStorage({
@@ -80,10 +90,17 @@ router.post('/resume',
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      res.json({
-        success: true,
-        message: 'Resume uploaded successfully',
-        filename: req.file.filename
+      auditService.record(req, {
+        action: 'user.resume.upload',
+        entityType: 'user',
+        entityId: req.user.id,
+        after: { resume: req.file.filename }
+      }).then(() => {
+        res.json({
+          success: true,
+          message: 'Resume uploaded successfully',
+          filename: req.file.filename
+        });
       });
     });
 });
@@ -122,4 +139,832 @@ router.get('/resume',
     res.sendFile(filePath);
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         fullName:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *         university:
+ *           type: string
+ *         fieldOfStudy:
+ *           type: string
+ *         degreeLevel:
+ *           type: string
+ *           enum: [bachelor, master, engineering, doctorate, other]
+ *         graduationYear:
+ *           type: integer
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *         opportunityType:
+ *           type: string
+ *           enum: [job, internship, both]
+ */
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get the current user's account and profile
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/User'
+ *                 - $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.id, { attributes: USER_ATTRIBUTES });
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   put:
+ *     summary: Update the current user's profile
+ *     description: >
+ *       Only the fields present in the body are changed. Send null to clear a field.
+ *       Changing the email address sends a new verification link; participants cannot
+ *       join queues until it is verified.
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Profile'
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *       400:
+ *         description: Invalid profile data or email already in use
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/me',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const updates = {};
+      User.PROFILE_FIELDS.forEach(field => {
+        if (field in req.body) {
+          updates[field] = req.body[field] === '' ? null : req.body[field];
+        }
+      });
+
+      if ('skills' in updates) {
+        if (updates.skills === null) {
+          updates.skills = [];
+        }
+        if (!Array.isArray(updates.skills) || updates.skills.some(skill => typeof skill !== 'string')) {
+          return res.status(400).json({ error: 'Skills must be an array of strings' });
+        }
+        updates.skills = [...new Set(updates.skills.map(skill => skill.trim()).filter(Boolean))];
+      }
+
+      const user = await User.findByPk(req.user.id);
+
+      const emailChanged = 'email' in updates && updates.email !== user.email;
+      if (emailChanged && !updates.email && user.role === 'Participant') {
+        return res.status(400).json({ error: 'Participants must keep an email address' });
+      }
+
+      if (updates.email) {
+        const emailTaken = await User.findOne({
+          where: { email: updates.email, id: { [Op.ne]: req.user.id } }
+        });
+        if (emailTaken) {
+          return res.status(400).json({ error: 'Email already in use' });
+        }
+      }
+
+      if (emailChanged) {
+        updates.emailVerifiedAt = null;
+        if (user.role === 'Participant' && user.status === 'active') {
+          updates.status = 'pending_verification';
+        }
+      }
+
+      const before = user.toJSON();
+      await user.update(updates);
+      await auditService.record(req, {
+        action: 'user.profile.update',
+        entityType: 'user',
+        entityId: user.id,
+        before,
+        after: user
+      });
+
+      if (emailChanged && updates.email) {
+        await Auth.sendVerificationEmail(user);
+      }
+
+      res.json(await User.findByPk(req.user.id, { attributes: USER_ATTRIBUTES }));
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+      }
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/permissions:
+ *   get:
+ *     summary: Get the effective permissions of the current user
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: string
+ */
+router.get('/me/permissions',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const permissions = await Permissions.forRequest(req);
+      res.json([...permissions].sort());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users with pagination, role filter and username search (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [Admin, Organizer, Participant, Enterprise]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disabled, pending_verification]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive substring of the username
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       403:
+ *         description: Forbidden - Requires Admin role
+ */
+router.get('/',
+  authMiddleware,
+  checkPermission('users:read'),
+  async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const { role, status, search } = req.query;
+
+      const where = {};
+      if (role) {
+        where.role = role;
+      }
+      if (status) {
+        where.status = status;
+      }
+      if (search) {
+        where.username = { [Op.like]: `%${search}%` };
+      }
+
+      const { rows, count } = await User.findAndCountAll({
+        where,
+        attributes: USER_ATTRIBUTES,
+        order: [['username', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        users: rows,
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/locked:
+ *   get:
+ *     summary: List accounts currently locked after too many failed logins (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Locked users, soonest unlock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ */
+router.get('/locked',
+  authMiddleware,
+  checkPermission('users:read'),
+  async (req, res) => {
+    try {
+      const users = await User.findAll({
+        where: { lockedUntil: { [Op.gt]: new Date() } },
+        attributes: USER_ATTRIBUTES,
+        order: [['lockedUntil', 'ASC']]
+      });
+
+      res.json(users);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/login-attempts:
+ *   get:
+ *     summary: Review recorded login attempts (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Page of login attempts, newest first
+ */
+router.get('/login-attempts',
+  authMiddleware,
+  checkPermission('users:read'),
+  async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      const { username, ipAddress, success, from, to } = req.query;
+
+      const where = {};
+      if (username) {
+        where.username = username;
+      }
+      if (ipAddress) {
+        where.ipAddress = ipAddress;
+      }
+      if (success !== undefined) {
+        where.success = success === 'true';
+      }
+      if (from || to) {
+        where.createdAt = {
+          ...(from && { [Op.gte]: new Date(from) }),
+          ...(to && { [Op.lte]: new Date(to) })
+        };
+      }
+
+      const { rows, count } = await LoginAttempt.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        attempts: rows,
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account and reset its failed login counter (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock',
+  authMiddleware,
+  checkPermission('users:manage'),
+  async (req, res) => {
+    try {
+      const before = await User.findByPk(req.params.id);
+      const user = await Auth.unlockUser(req.params.id);
+      await auditService.record(req, {
+        action: 'user.unlock',
+        entityType: 'user',
+        entityId: user.id,
+        before,
+        after: user
+      });
+      res.json({ success: true, message: 'User unlocked successfully' });
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a single user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id',
+  authMiddleware,
+  checkPermission('users:read'),
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id, { attributes: USER_ATTRIBUTES });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/disable:
+ *   put:
+ *     summary: Disable a user account and end all of its sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User disabled
+ *       400:
+ *         description: Admins cannot disable their own account
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/disable',
+  authMiddleware,
+  checkPermission('users:manage'),
+  async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot disable your own account' });
+      }
+
+      const before = await User.findByPk(req.params.id);
+      const user = await Auth.setUserDisabled(req.params.id, true);
+      await auditService.record(req, {
+        action: 'user.disable',
+        entityType: 'user',
+        entityId: user.id,
+        before,
+        after: user
+      });
+      res.json({ success: true, message: 'User disabled successfully' });
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/enable:
+ *   put:
+ *     summary: Re-enable a disabled user account (Admin only)
+ *     description: |
+ *       Participants who never verified their email address go back to
+ *       pending_verification rather than active.
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User enabled
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/enable',
+  authMiddleware,
+  checkPermission('users:manage'),
+  async (req, res) => {
+    try {
+      const before = await User.findByPk(req.params.id);
+      const user = await Auth.setUserDisabled(req.params.id, false);
+      await auditService.record(req, {
+        action: 'user.enable',
+        entityType: 'user',
+        entityId: user.id,
+        before,
+        after: user
+      });
+      res.json({ success: true, message: 'User enabled successfully' });
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/permissions:
+ *   get:
+ *     summary: Get a user's permissions from their role and individual grants (requires permissions:manage)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   type: string
+ *                 rolePermissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 grantedPermissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 effectivePermissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/permissions',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      res.json(await Permissions.forUserDetails(req.params.id));
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/permissions:
+ *   post:
+ *     summary: Grant a permission to a single user without changing their role (requires permissions:manage)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permission
+ *             properties:
+ *               permission:
+ *                 type: string
+ *                 example: contacts:assign
+ *     responses:
+ *       200:
+ *         description: Permission granted
+ *       400:
+ *         description: Unknown permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/permissions',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      await Permissions.grantToUser(req.params.id, req.body.permission, req.user.id);
+      await auditService.record(req, {
+        action: 'user.permission.grant',
+        entityType: 'user',
+        entityId: req.params.id,
+        after: { permission: req.body.permission }
+      });
+      res.json({ success: true, message: 'Permission granted successfully' });
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 400;
+      res.status(status).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/permissions/{permission}:
+ *   delete:
+ *     summary: Revoke a permission granted to a single user (requires permissions:manage)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: permission
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *       404:
+ *         description: Permission not granted to this user
+ */
+router.delete('/:id/permissions/:permission',
+  authMiddleware,
+  checkPermission('permissions:manage'),
+  async (req, res) => {
+    try {
+      await Permissions.revokeFromUser(req.params.id, req.params.permission);
+      await auditService.record(req, {
+        action: 'user.permission.revoke',
+        entityType: 'user',
+        entityId: req.params.id,
+        before: { permission: req.params.permission }
+      });
+      res.json({ success: true, message: 'Permission revoked successfully' });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication, e.g. after a lost phone (Admin only)
+ *     description: Roles that require 2FA will have to enroll again at their next login.
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/2fa',
+  authMiddleware,
+  checkPermission('users:reset-2fa'),
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const before = user.toJSON();
+      await TwoFactor.reset(user);
+      await auditService.record(req, {
+        action: 'user.2fa.reset',
+        entityType: 'user',
+        entityId: user.id,
+        before,
+        after: user
+      });
+      res.json({ success: true, message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Admins cannot delete their own account
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id',
+  authMiddleware,
+  checkPermission('users:delete'),
+  async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+
+      const user = await Auth.deleteUser(req.params.id);
+      await auditService.record(req, {
+        action: 'user.delete',
+        entityType: 'user',
+        entityId: user.id,
+        before: user
+      });
+      res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+      const status = error.message === 'User not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
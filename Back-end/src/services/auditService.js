@@ -0,0 +1,58 @@
+const AuditLog = require('../models/auditLog');
+
+// Never copy secrets into the audit log, only the fact that they changed
+const REDACTED_FIELDS = ['passwordHash', 'salt', 'totpSecret', 'totpBackupCodes', 'tokenHash'];
+
+class AuditService {
+  toPlain(value) {
+    if (!value) {
+      return {};
+    }
+    return typeof value.toJSON === 'function' ? value.toJSON() : { ...value };
+  }
+
+  diff(before, after) {
+    const previous = this.toPlain(before);
+    const next = this.toPlain(after);
+    const changes = {};
+
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(field => {
+      if (field === 'updatedAt') {
+        return;
+      }
+      if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) {
+        return;
+      }
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { before: '[redacted]', after: '[redacted]' }
+        : { before: previous[field] ?? null, after: next[field] ?? null };
+    });
+
+    return changes;
+  }
+
+  // Records a mutating action. before/after may be plain objects or Sequelize instances;
+  // pass null for before on creation and null for after on deletion. The actor defaults
+  // to the authenticated user; pass a null req for actions of background jobs. Pass
+  // `transaction` to write the entry together with the change. Failures are logged but
+  // never fail the request.
+  async record(req, { action, entityType, entityId, before = null, after = null, actor = req?.user, transaction }) {
+    try {
+      await AuditLog.create({
+        actorId: actor?.id || null,
+        actorUsername: actor?.username || null,
+        action,
+        entityType,
+        entityId: entityId == null ? null : String(entityId),
+        changes: this.diff(before, after),
+        ipAddress: req?.ip || null,
+        userAgent: req?.get('user-agent')?.slice(0, 512) || null
+      }, { transaction });
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,574 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Contact, ContactInteraction, User, AuditLog } = require('../models');
+const auditService = require('./auditService');
+
+// Sheet headers of each Contact column. The first one is the key used in responses; the
+// others are how the raw Google Form export words the same question.
+const LEGACY_FIELDS = {
+  companyName: ["Nom de l'entreprise", 'Nom de l’entreprise :'],
+  contactPosition: ['Votre poste', "Votre poste au sein de l'entreprise :"],
+  address: ['Adresse', 'Adresse :'],
+  phone: ['Numéro de téléphone', 'Numéro de téléphone :'],
+  email: ['E-mail', 'E-mail :'],
+  website: ['Site Web']
+};
+
+// Keys the JSON file used for the columns maintained by the app
+const TRACKING_FIELDS = {
+  contactStatus: ['contactStatus', 'contact_status'],
+  contactResult: ['contactResult', 'contact_result'],
+  numberOfCalls: ['number_of_calls'],
+  assignedTo: ['assignedTo'],
+  assignedAt: ['assignedAt'],
+  lastUpdatedAt: ['lastUpdatedAt'],
+  lastUpdatedBy: ['lastUpdatedBy']
+};
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Allowed contactStatus changes once a contact is assigned to an organizer
+const STATUS_TRANSITIONS = {
+  assigned: ['contacting'],
+  contacting: ['contacted'],
+  contacted: ['contacted']
+};
+
+// Status, and result if any, that each outcome of a logged call leads to
+const CALL_OUTCOMES = {
+  no_answer: { contactStatus: 'contacting' },
+  call_back: { contactStatus: 'contacting' },
+  interested: { contactStatus: 'contacted', contactResult: 'interested' },
+  declined: { contactStatus: 'contacted', contactResult: 'not_interested' }
+};
+
+class ContactService {
+  contactError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Contact columns and leftover sheet columns for a set of sheet-shaped fields. Known
+  // headers go to their column, anything else into `data`.
+  fromLegacy(fields) {
+    const columns = {};
+    const data = {};
+
+    for (const [key, value] of Object.entries(fields)) {
+      const column = [...Object.entries(LEGACY_FIELDS), ...Object.entries(TRACKING_FIELDS)]
+        .find(([, keys]) => keys.includes(key));
+      if (column) {
+        columns[column[0]] = value;
+      } else if (key !== 'id' && key !== 'version') {
+        data[key] = value;
+      }
+    }
+
+    return { columns, data };
+  }
+
+  // The shape /api/contacts has always returned: the sheet row plus tracking fields
+  toLegacy(contact) {
+    const row = { id: contact.id };
+    for (const [column, [key]] of Object.entries(LEGACY_FIELDS)) {
+      row[key] = contact[column] ?? '';
+    }
+
+    return {
+      ...row,
+      ...contact.data,
+      contact_status: contact.contactStatus,
+      contact_result: contact.contactResult,
+      number_of_calls: contact.numberOfCalls,
+      contactStatus: contact.contactStatus,
+      contactResult: contact.contactResult,
+      assignedTo: contact.assignedTo,
+      assignedAt: contact.assignedAt,
+      lastUpdatedAt: contact.lastUpdatedAt,
+      lastUpdatedBy: contact.lastUpdatedBy,
+      version: contact.version
+    };
+  }
+
+  async list(where = {}) {
+    return Contact.findAll({ where, order: [['sheetRow', 'ASC']] });
+  }
+
+  async find(id) {
+    const contact = await Contact.findByPk(id);
+    if (!contact) {
+      throw this.contactError('Contact not found', 404);
+    }
+    return contact;
+  }
+
+  // Contact at a position of the sheet, as /api/contacts/update addresses them
+  async findByRow(rowIndex) {
+    const contact = Number.isInteger(rowIndex) && rowIndex >= 0
+      ? await Contact.findOne({ order: [['sheetRow', 'ASC']], offset: rowIndex })
+      : null;
+    if (!contact) {
+      throw this.contactError('Invalid row index', 400);
+    }
+    return contact;
+  }
+
+  staleError() {
+    return this.contactError('This contact was changed by someone else, reload it and try again', 409);
+  }
+
+  // Changes from clients carry the version they last read, and get a 409 when the contact
+  // changed since
+  assertVersion(contact, version) {
+    if (version === undefined || version === null || version === '') {
+      throw this.contactError('version is required: send the version of the contact you last read', 428);
+    }
+    if (Number(version) !== contact.version) {
+      throw this.staleError();
+    }
+  }
+
+  // Saves changes to a contact. Saves racing each other are caught by the version column.
+  async save(contact, changes, version, options = {}) {
+    this.assertVersion(contact, version);
+
+    const before = this.toLegacy(contact);
+    contact.set(changes);
+    try {
+      await contact.save(options);
+    } catch (error) {
+      if (error.name === 'SequelizeOptimisticLockError') {
+        throw this.staleError();
+      }
+      throw error;
+    }
+    return { before, contact };
+  }
+
+  // Legacy row update: only fields the row already has are changed
+  async updateRow(rowIndex, updates = {}, version) {
+    const contact = await this.findByRow(rowIndex);
+    const existing = this.toLegacy(contact);
+    const known = Object.fromEntries(Object.entries(updates).filter(([key]) => key in existing));
+    const { columns, data } = this.fromLegacy(known);
+
+    return this.save(contact, { ...columns, data: { ...contact.data, ...data } }, version);
+  }
+
+  async update(id, updates = {}, version) {
+    const contact = await this.find(id);
+    const { columns, data } = this.fromLegacy(updates);
+
+    return this.save(contact, { ...columns, data: { ...contact.data, ...data } }, version);
+  }
+
+  async assign(id, assignedTo, version) {
+    const contact = await this.find(id);
+    if (!assignedTo || !(await User.findByPk(assignedTo))) {
+      throw this.contactError('assignedTo must be an existing user', 400);
+    }
+
+    return this.save(contact, {
+      assignedTo,
+      contactStatus: 'assigned',
+      assignedAt: new Date(),
+      contactResult: null
+    }, version);
+  }
+
+  // Returns the contacts of an organizer whose account is deleted to the unassigned pool,
+  // within the caller's transaction. Those not called yet go back to pending.
+  async unassignAll(userId, transaction) {
+    const version = sequelize.literal('version + 1');
+
+    await Contact.update(
+      { contactStatus: 'pending', version },
+      { where: { assignedTo: userId, contactStatus: 'assigned' }, transaction }
+    );
+    await Contact.update(
+      { assignedTo: null, assignedAt: null, version },
+      { where: { assignedTo: userId }, transaction }
+    );
+  }
+
+  canTransition(from, to) {
+    return Boolean(STATUS_TRANSITIONS[from]?.includes(to));
+  }
+
+  // Moves a contact along STATUS_TRANSITIONS. Only the assigned organizer may do it,
+  // unless canManageAll.
+  async updateStatus(id, { contactStatus, contactResult, version }, { user, canManageAll }) {
+    const contact = await this.find(id);
+
+    if (!this.canTransition(contact.contactStatus, contactStatus)) {
+      throw this.contactError(`Invalid status transition from ${contact.contactStatus} to ${contactStatus}`, 400);
+    }
+    // Only allow contact result when status is 'contacted'
+    if (contactResult && contactStatus !== 'contacted') {
+      throw this.contactError('Contact result can only be set when status is contacted', 400);
+    }
+    if (contact.assignedTo !== user.id && !canManageAll) {
+      throw this.contactError('Only assigned user or admin can update the contact status', 403);
+    }
+
+    return this.save(contact, {
+      contactStatus,
+      lastUpdatedAt: new Date(),
+      lastUpdatedBy: user.id,
+      ...(contactResult && { contactResult })
+    }, version);
+  }
+
+  // Whether `to` can be reached from `from` through STATUS_TRANSITIONS, in any number of
+  // steps
+  canReach(from, to) {
+    const seen = new Set([from]);
+    const pending = [from];
+    while (pending.length) {
+      for (const next of STATUS_TRANSITIONS[pending.shift()] || []) {
+        if (next === to) {
+          return true;
+        }
+        if (!seen.has(next)) {
+          seen.add(next);
+          pending.push(next);
+        }
+      }
+    }
+    return false;
+  }
+
+  // Records a call attempt and moves the contact to the status its outcome leads to,
+  // following STATUS_TRANSITIONS. A contact already past that status (a call back after
+  // an interested answer) keeps its status. Only the assigned organizer may log calls,
+  // unless canManageAll.
+  async logCall(id, { channel, outcome, notes, calledAt, version }, { user, canManageAll }) {
+    const contact = await this.find(id);
+
+    if (!CALL_OUTCOMES[outcome]) {
+      throw this.contactError(`outcome must be one of ${Object.keys(CALL_OUTCOMES).join(', ')}`, 400);
+    }
+    if (contact.assignedTo !== user.id && !canManageAll) {
+      throw this.contactError('Only assigned user or admin can log calls for the contact', 403);
+    }
+    const at = calledAt ? new Date(calledAt) : new Date();
+    if (Number.isNaN(at.getTime()) || at > new Date()) {
+      throw this.contactError('calledAt must be a date in the past', 400);
+    }
+
+    const { contactStatus, contactResult } = CALL_OUTCOMES[outcome];
+    let status = contact.contactStatus;
+    if (status !== contactStatus) {
+      if (this.canReach(status, contactStatus)) {
+        status = contactStatus;
+      } else if (!this.canReach(contactStatus, status)) {
+        throw this.contactError(`Invalid status transition from ${status} to ${contactStatus}`, 400);
+      }
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const interaction = await ContactInteraction.create({
+        contactId: contact.id,
+        userId: user.id,
+        channel,
+        outcome,
+        notes,
+        calledAt: at
+      }, { transaction });
+
+      const { before } = await this.save(contact, {
+        contactStatus: status,
+        numberOfCalls: contact.numberOfCalls + 1,
+        lastUpdatedAt: new Date(),
+        lastUpdatedBy: user.id,
+        ...(contactResult && status === contactStatus && { contactResult })
+      }, version, { transaction });
+
+      return { before, contact, interaction };
+    });
+  }
+
+  // Logged calls and recorded changes of a contact, oldest first
+  async timeline(id) {
+    const contact = await this.find(id);
+    const [interactions, logs] = await Promise.all([
+      ContactInteraction.findAll({
+        where: { contactId: id },
+        include: [{ model: User, as: 'caller', attributes: ['id', 'username'] }]
+      }),
+      // Logged calls are already in the timeline as calls
+      AuditLog.findAll({
+        where: { entityType: 'contact', entityId: id, action: { [Op.ne]: 'contact.call.log' } }
+      })
+    ]);
+
+    const events = [
+      ...interactions.map(interaction => ({
+        type: 'call',
+        at: interaction.calledAt,
+        id: interaction.id,
+        by: interaction.caller ? { id: interaction.caller.id, username: interaction.caller.username } : null,
+        channel: interaction.channel,
+        outcome: interaction.outcome,
+        notes: interaction.notes
+      })),
+      ...logs.map(log => ({
+        type: 'change',
+        at: log.createdAt,
+        id: log.id,
+        by: log.actorId ? { id: log.actorId, username: log.actorUsername } : null,
+        action: log.action,
+        changes: log.changes
+      }))
+    ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return { contact: this.toLegacy(contact), events };
+  }
+
+  async create(fields) {
+    const { columns, data } = this.fromLegacy(fields);
+    if (!columns.companyName || !columns.contactPosition || !columns.email) {
+      throw this.contactError('Missing required fields: Company name, position, and email are required', 400);
+    }
+
+    const duplicate = await Contact.findOne({
+      where: sequelize.where(sequelize.fn('lower', sequelize.col('companyName')), columns.companyName.toLowerCase())
+    });
+    if (duplicate) {
+      throw this.contactError('A contact with this company name already exists', 400);
+    }
+
+    const lastRow = await Contact.max('sheetRow');
+    return Contact.create({
+      companyName: columns.companyName,
+      contactPosition: columns.contactPosition,
+      address: columns.address,
+      phone: columns.phone,
+      email: columns.email,
+      website: columns.website,
+      data,
+      sheetRow: (lastRow ?? -1) + 1
+    });
+  }
+
+  async remove(id, version) {
+    const contact = await this.find(id);
+    this.assertVersion(contact, version);
+    await contact.destroy();
+    return contact;
+  }
+
+  // Key matching a sheet row to its contact from one sync to the next. Form responses
+  // carry no id, so it is the submission time together with the e-mail, which stay the
+  // same when the company corrects its name. Null when the sheet has no submission time.
+  responseKey({ fields, data }) {
+    const submittedAt = String(data['Horodateur'] ?? '').trim();
+    if (!submittedAt) {
+      return null;
+    }
+    return `${submittedAt}|${String(fields.email ?? '').trim().toLowerCase()}`;
+  }
+
+  // Company name ignoring case, spacing and curly apostrophes. Sheet rows are matched by
+  // name to contacts that have no response key yet.
+  sheetKey(companyName) {
+    return String(companyName ?? '')
+      .normalize('NFC')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  // Fields of a sheet row the form owns: the form columns and the other answers. Workflow
+  // fields (status, result, calls, assignment) are never taken from the sheet.
+  formFields(record) {
+    const { columns, data } = this.fromLegacy(record);
+    const fields = {};
+    for (const column of Object.keys(LEGACY_FIELDS)) {
+      if (columns[column] !== undefined) {
+        fields[column] = typeof columns[column] === 'string' ? columns[column].trim() : columns[column];
+      }
+    }
+    return { fields, data };
+  }
+
+  // Form-owned values of a contact that differ from a sheet row, as { before, after }.
+  // Blank and missing answers count as the same.
+  formChanges(contact, { fields, data }) {
+    const same = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+    const changes = {};
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (!same(contact[column], value)) {
+        changes[column] = { before: contact[column] ?? null, after: value };
+      }
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (!same(contact.data?.[key], value)) {
+        changes[key] = { before: contact.data?.[key] ?? null, after: value };
+      }
+    }
+
+    return changes;
+  }
+
+  // Brings the contacts in line with the sheet rows: rows of new responses become
+  // contacts, and the form-owned fields of known ones, company name included, are
+  // updated. Contacts without a response key are matched once by company name and then
+  // keep the key of the row they matched. Answers organizers added, and all workflow
+  // fields, are kept. Each contact added or updated gets a contact.sync audit entry, by
+  // the user of `req`. With dryRun nothing is written. A contact edited while the sync
+  // runs makes it fail with a 409, without any change applied.
+  async sync(records, { dryRun = false, req = null } = {}) {
+    const summary = { dryRun, added: [], updated: [], unchanged: [], skipped: [] };
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const contacts = await Contact.findAll({ order: [['sheetRow', 'ASC']], transaction });
+        const byResponse = new Map(contacts
+          .filter(contact => contact.responseKey)
+          .map(contact => [contact.responseKey, contact]));
+        const byName = new Map(contacts
+          .filter(contact => !contact.responseKey)
+          .map(contact => [this.sheetKey(contact.companyName), contact]));
+        const seen = new Set();
+        let sheetRow = contacts.length ? contacts[contacts.length - 1].sheetRow + 1 : 0;
+
+        for (const record of records) {
+          const form = this.formFields(record);
+          const { companyName } = form.fields;
+          const nameKey = this.sheetKey(companyName);
+          if (!nameKey) {
+            summary.skipped.push({ reason: 'No company name' });
+            continue;
+          }
+          const responseKey = this.responseKey(form);
+          const rowKey = responseKey || nameKey;
+          if (seen.has(rowKey)) {
+            summary.skipped.push({
+              companyName,
+              reason: responseKey ? 'Response already listed in an earlier row' : 'Company already listed in an earlier row'
+            });
+            continue;
+          }
+          seen.add(rowKey);
+
+          let contact = responseKey ? byResponse.get(responseKey) : null;
+          if (!contact && byName.has(nameKey)) {
+            contact = byName.get(nameKey);
+            byName.delete(nameKey);
+          }
+          if (!contact) {
+            const added = dryRun
+              ? null
+              : await Contact.create({
+                ...form.fields,
+                responseKey,
+                data: form.data,
+                sheetRow: sheetRow++
+              }, { transaction });
+            summary.added.push({ id: added ? added.id : null, companyName });
+            if (added) {
+              await auditService.record(req, {
+                action: 'contact.sync',
+                entityType: 'contact',
+                entityId: added.id,
+                after: added,
+                transaction
+              });
+            }
+            continue;
+          }
+
+          const changes = this.formChanges(contact, form);
+          const newKey = Boolean(responseKey) && contact.responseKey !== responseKey;
+          if (Object.keys(changes).length) {
+            summary.updated.push({ id: contact.id, companyName, changes });
+          } else {
+            summary.unchanged.push({ id: contact.id, companyName: contact.companyName });
+          }
+          if (!dryRun && (Object.keys(changes).length || newKey)) {
+            const before = contact.toJSON();
+            contact.set({ ...form.fields, data: { ...contact.data, ...form.data } });
+            if (newKey) {
+              contact.set('responseKey', responseKey);
+            }
+            await contact.save({ transaction });
+            await auditService.record(req, {
+              action: 'contact.sync',
+              entityType: 'contact',
+              entityId: contact.id,
+              before,
+              after: contact,
+              transaction
+            });
+          }
+        }
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeOptimisticLockError') {
+        throw this.contactError('A contact was changed while syncing, run the sync again', 409);
+      }
+      throw error;
+    }
+
+    return summary;
+  }
+
+  // One-time import of sheet_data.json. Rows keep their id when they have one; rows
+  // already imported (same id, or same company name for rows without one) are skipped.
+  async importLegacy(records) {
+    const report = { created: 0, skipped: [] };
+    const lastRow = await Contact.max('sheetRow');
+    let sheetRow = (lastRow ?? -1) + 1;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, record] of records.entries()) {
+        const { columns, data } = this.fromLegacy(record);
+        const companyName = typeof columns.companyName === 'string' ? columns.companyName.trim() : '';
+        if (!companyName) {
+          report.skipped.push({ row: index + 1, reason: 'No company name' });
+          continue;
+        }
+
+        const id = typeof record.id === 'string' && UUID.test(record.id) ? record.id : null;
+        const existing = id
+          ? await Contact.findByPk(id, { transaction })
+          : await Contact.findOne({
+            where: sequelize.where(sequelize.fn('lower', sequelize.col('companyName')), companyName.toLowerCase()),
+            transaction
+          });
+        if (existing) {
+          report.skipped.push({ row: index + 1, name: companyName, reason: 'Already imported' });
+          continue;
+        }
+
+        const assignee = UUID.test(columns.assignedTo || '')
+          ? await User.findByPk(columns.assignedTo, { transaction })
+          : null;
+
+        await Contact.create({
+          ...columns,
+          id: id || crypto.randomUUID(),
+          companyName,
+          contactStatus: Contact.getAttributes().contactStatus.values.includes(columns.contactStatus)
+            ? columns.contactStatus
+            : 'pending',
+          numberOfCalls: parseInt(columns.numberOfCalls, 10) || 0,
+          assignedTo: assignee ? assignee.id : null,
+          lastUpdatedBy: UUID.test(columns.lastUpdatedBy || '') ? columns.lastUpdatedBy : null,
+          data,
+          sheetRow: sheetRow++
+        }, { transaction });
+        report.created++;
+      }
+    });
+
+    return report;
+  }
+}
+
+module.exports = new ContactService();
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const authConfig = require('../config/auth');
 
 class EmailService {
   constructor() {
@@ -13,18 +14,87 @@ class EmailService {
     });
   }
 
-  async sendInterestEmail(enterpriseData) {
-    const emailTemplate = this.generateEmailTemplate(enterpriseData);
+  async sendInterestEmail(enterprise) {
+    const emailTemplate = this.generateEmailTemplate(enterprise);
 
     try {
       await this.transporter.sendMail({
         from: process.env.EMAIL_USER,
         to: process.env.NOTIFICATION_EMAIL, // Email where you want to receive notifications
-        subject: `New Interest from ${enterpriseData["Nom de l'entreprise"]}`,
+        subject: `New Interest from ${enterprise.name}`,
         html: emailTemplate
       });
 
-      console.log(`Interest email sent for ${enterpriseData["Nom de l'entreprise"]}`);
+      console.log(`Interest email sent for ${enterprise.name}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return false;
+    }
+  }
+
+  async sendPasswordResetEmail(user, resetUrl) {
+    try {
+      await this.transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Reset your password',
+        html: `
+          <h2>Password reset</h2>
+          <p>Hello ${user.username},</p>
+          <p>A password reset was requested for your account. Use the link below to choose a new password:</p>
+          <p><a href="${resetUrl}">${resetUrl}</a></p>
+          <p>This link expires in ${Math.round(authConfig.passwordResetTtlMs / 60000)} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>
+        `
+      });
+
+      console.log(`Password reset email sent to ${user.email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return false;
+    }
+  }
+
+  async sendVerificationEmail(user, verifyUrl) {
+    try {
+      await this.transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Verify your email address',
+        html: `
+          <h2>Welcome ${user.username}!</h2>
+          <p>Please confirm your email address to start joining stand queues:</p>
+          <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+          <p>This link expires in ${Math.round(authConfig.emailVerificationTtlMs / 3600000)} hours.</p>
+        `
+      });
+
+      console.log(`Verification email sent to ${user.email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return false;
+    }
+  }
+
+  async sendQueueCalledEmail(user, standName) {
+    if (!user.email) {
+      return false;
+    }
+
+    try {
+      await this.transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: `It's your turn at ${standName}`,
+        html: `
+          <h2>Hello ${user.fullName || user.username},</h2>
+          <p>${standName} is ready to see you. Please go to their stand now.</p>
+        `
+      });
+
+      console.log(`Queue call email sent to ${user.email}`);
       return true;
     } catch (error) {
       console.error('Error sending email:', error);
@@ -39,21 +109,21 @@ class EmailService {
       
       <h3>Enterprise Details:</h3>
       <ul>
-        <li><strong>Name:</strong> ${enterprise["Nom de l'entreprise"]}</li>
-        <li><strong>Contact Person:</strong> ${enterprise["Votre poste"]}</li>
-        <li><strong>Address:</strong> ${enterprise["Adresse"]}</li>
-        <li><strong>Phone:</strong> ${enterprise["Numéro de téléphone"]}</li>
-        <li><strong>Email:</strong> ${enterprise["E-mail"]}</li>
-        <li><strong>Website:</strong> ${enterprise["Site Web"] || 'N/A'}</li>
+        <li><strong>Name:</strong> ${enterprise.name}</li>
+        <li><strong>Contact Person:</strong> ${enterprise.contactPosition}</li>
+        <li><strong>Address:</strong> ${enterprise.address}</li>
+        <li><strong>Phone:</strong> ${enterprise.phone}</li>
+        <li><strong>Email:</strong> ${enterprise.email}</li>
+        <li><strong>Website:</strong> ${enterprise.website || 'N/A'}</li>
       </ul>
 
       <h3>Event Participation Details:</h3>
       <ul>
-        <li><strong>Number of Representatives:</strong> ${enterprise["Combien de représentants de votre entreprise seront au salon ? (le nombre est limité à 3)"]}</li>
-        <li><strong>Previous Participation:</strong> ${enterprise["Avez-vous déjà participé au S2EE ?"]}</li>
-        <li><strong>Interested Profiles:</strong> ${enterprise["Quels profils vous intéressent ?"]}</li>
-        <li><strong>Job Offerings:</strong> ${enterprise["Nombre de postes d'emploi :"]}</li>
-        <li><strong>Internship Offerings:</strong> ${enterprise["Nombre de stages :"]}</li>
+        <li><strong>Number of Representatives:</strong> ${enterprise.representativeCount ?? 'N/A'}</li>
+        <li><strong>Previous Participation:</strong> ${typeof enterprise.participatedBefore === 'boolean' ? (enterprise.participatedBefore ? 'Yes' : 'No') : 'N/A'}</li>
+        <li><strong>Interested Profiles:</strong> ${enterprise.interestedProfiles || 'N/A'}</li>
+        <li><strong>Job Offerings:</strong> ${enterprise.jobOpenings ?? 'N/A'}</li>
+        <li><strong>Internship Offerings:</strong> ${enterprise.internshipOpenings ?? 'N/A'}</li>
       </ul>
     `;
   }
@@ -0,0 +1,233 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { Enterprise, StandQueue, InterviewSlot, User } = require('../models');
+const Auth = require('../apis/auth');
+
+// Columns of the registration sheet for each Enterprise field. The cleaned export and
+// the raw Google Form export word some questions differently.
+const LEGACY_FIELDS = {
+  name: ["Nom de l'entreprise", 'Nom de l’entreprise :'],
+  contactPosition: ['Votre poste', "Votre poste au sein de l'entreprise :"],
+  address: ['Adresse', 'Adresse :'],
+  phone: ['Numéro de téléphone', 'Numéro de téléphone :'],
+  email: ['E-mail', 'E-mail :'],
+  website: ['Site Web'],
+  representativeCount: ['Combien de représentants de votre entreprise seront au salon ? (le nombre est limité à 3)'],
+  participatedBefore: ['Avez-vous déjà participé au S2EE ?'],
+  interestedProfiles: ['Quels profils vous intéressent ?'],
+  jobOpenings: ["Nombre de postes d'emploi", "Nombre de postes d'emploi :"],
+  internshipOpenings: ['Nombre de stages', 'Nombre de stages :'],
+  contactStatus: ['contact_status'],
+  contactResult: ['contact_result'],
+  numberOfCalls: ['number_of_calls']
+};
+
+const INTEGER_FIELDS = ['representativeCount', 'jobOpenings', 'internshipOpenings', 'numberOfCalls'];
+
+// Fields organizers may edit; numberOfCalls only moves when a call is logged
+const EDITABLE_FIELDS = [
+  'name', 'contactPosition', 'address', 'phone', 'email', 'website', 'representativeCount',
+  'participatedBefore', 'interestedProfiles', 'jobOpenings', 'internshipOpenings', 'answers',
+  'contactStatus', 'contactResult'
+];
+
+// Former names of the editable fields, still sent by older clients
+const FIELD_ALIASES = {
+  position: 'contactPosition'
+};
+
+class EnterpriseService {
+  enterpriseError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  pick(data, fields) {
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    }
+    for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+      if (data[alias] !== undefined && picked[field] === undefined && fields.includes(field)) {
+        picked[field] = data[alias];
+      }
+    }
+    return picked;
+  }
+
+  // Enterprise fields from a row of the registration sheet. Answers that have no column of
+  // their own are kept in `answers`.
+  fromLegacy(record) {
+    const fields = {};
+    const used = new Set(['userId']);
+
+    for (const [field, columns] of Object.entries(LEGACY_FIELDS)) {
+      const column = columns.find(name => record[name] !== undefined);
+      if (!column) {
+        continue;
+      }
+      used.add(column);
+
+      const value = typeof record[column] === 'string' ? record[column].trim() : record[column];
+      if (value === '' || value === null) {
+        continue;
+      }
+
+      if (INTEGER_FIELDS.includes(field)) {
+        const number = parseInt(value, 10);
+        if (!Number.isNaN(number) && number >= 0) {
+          fields[field] = number;
+        }
+      } else if (field === 'participatedBefore') {
+        if (/^oui/i.test(value)) {
+          fields[field] = true;
+        } else if (/^non/i.test(value)) {
+          fields[field] = false;
+        }
+      } else if (field === 'contactStatus') {
+        if (['pending', 'contacted', 'failed'].includes(value)) {
+          fields[field] = value;
+        }
+      } else {
+        fields[field] = String(value);
+      }
+    }
+
+    fields.answers = {};
+    for (const [question, answer] of Object.entries(record)) {
+      if (!used.has(question) && answer !== '' && answer !== null && answer !== undefined) {
+        fields.answers[question] = answer;
+      }
+    }
+
+    return fields;
+  }
+
+  async list() {
+    return Enterprise.findAll({ order: [['name', 'ASC']] });
+  }
+
+  async get(id) {
+    const enterprise = await Enterprise.findByPk(id, {
+      include: [
+        { model: User, attributes: ['id', 'username', 'email', 'status'] },
+        { model: StandQueue }
+      ]
+    });
+    if (!enterprise) {
+      throw this.enterpriseError('Enterprise not found', 404);
+    }
+    return enterprise;
+  }
+
+  // Creates an enterprise together with its first login account
+  async create({ username, password, enterpriseData = {} }) {
+    if (!username || !password) {
+      throw this.enterpriseError('username and password are required', 400);
+    }
+    if (await User.findOne({ where: { username } })) {
+      throw this.enterpriseError('Username already exists', 400);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const enterprise = await Enterprise.create(this.pick(enterpriseData, EDITABLE_FIELDS), { transaction });
+      const userId = await Auth.register(username, password, 'Enterprise', { enterpriseId: enterprise.id, transaction });
+      return { enterprise, userId };
+    });
+  }
+
+  async update(id, updates = {}) {
+    const enterprise = await Enterprise.findByPk(id);
+    if (!enterprise) {
+      throw this.enterpriseError('Enterprise not found', 404);
+    }
+
+    const before = enterprise.toJSON();
+    await enterprise.update(this.pick(updates, EDITABLE_FIELDS));
+    return { before, enterprise };
+  }
+
+  // Interview history hangs off the stand, so an enterprise with a stand is kept
+  async remove(id) {
+    const enterprise = await Enterprise.findByPk(id);
+    if (!enterprise) {
+      throw this.enterpriseError('Enterprise not found', 404);
+    }
+    if (await StandQueue.count({ where: { enterpriseId: id } })) {
+      throw this.enterpriseError('This enterprise has a stand queue and cannot be deleted', 409);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await InterviewSlot.destroy({ where: { enterpriseId: id }, transaction });
+      await User.update({ enterpriseId: null }, { where: { enterpriseId: id }, transaction });
+      await enterprise.destroy({ transaction });
+    });
+    return enterprise;
+  }
+
+  // Stands and slots used to be keyed by the id of the enterprise's login account
+  async moveFromAccount(userId, enterpriseId, transaction) {
+    await User.update({ enterpriseId }, { where: { id: userId }, transaction });
+    await StandQueue.update({ enterpriseId }, { where: { enterpriseId: userId }, transaction });
+    await InterviewSlot.update({ enterpriseId }, { where: { enterpriseId: userId }, transaction });
+  }
+
+  // One-time import of clean_sheet_data.json. Rows whose enterprise already exists (by
+  // case-insensitive name) are skipped, so running it twice is harmless. Enterprise
+  // accounts that no row points to get an enterprise named after them.
+  async importLegacy(records) {
+    const report = { created: 0, skipped: [], linkedAccounts: 0 };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, record] of records.entries()) {
+        const fields = this.fromLegacy(record);
+        if (!fields.name) {
+          report.skipped.push({ row: index + 1, reason: 'No enterprise name' });
+          continue;
+        }
+
+        const existing = await Enterprise.findOne({
+          where: sequelize.where(sequelize.fn('lower', sequelize.col('name')), fields.name.toLowerCase()),
+          transaction
+        });
+        if (existing) {
+          report.skipped.push({ row: index + 1, name: fields.name, reason: 'Already imported' });
+          continue;
+        }
+
+        const enterprise = await Enterprise.create(fields, { transaction });
+        report.created++;
+
+        if (record.userId && await User.findByPk(record.userId, { transaction })) {
+          await this.moveFromAccount(record.userId, enterprise.id, transaction);
+          report.linkedAccounts++;
+        }
+      }
+
+      const unlinked = await User.findAll({
+        where: { role: 'Enterprise', enterpriseId: { [Op.is]: null } },
+        transaction
+      });
+      for (const user of unlinked) {
+        const name = user.fullName || user.username;
+        const [enterprise, created] = await Enterprise.findOrCreate({
+          where: { name },
+          defaults: { email: user.email, phone: user.phone },
+          transaction
+        });
+        if (created) {
+          report.created++;
+        }
+        await this.moveFromAccount(user.id, enterprise.id, transaction);
+        report.linkedAccounts++;
+      }
+    });
+
+    return report;
+  }
+}
+
+module.exports = new EnterpriseService();
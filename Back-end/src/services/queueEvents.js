@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+const QueueEntry = require('../models/queueEntry');
+const StandQueue = require('../models/standQueue');
+
+// Event type sent when a queue entry moves to each status
+const ENTRY_EVENTS = {
+  // An entry only goes back to Waiting when the stand skips the participant
+  Waiting: 'queue_entry.requeued',
+  Active: 'queue_entry.started',
+  Completed: 'queue_entry.completed',
+  Cancelled: 'queue_entry.cancelled',
+  Left: 'queue_entry.left',
+  NoShow: 'queue_entry.no_show',
+  Expired: 'queue_entry.expired'
+};
+
+// Stand settings whose changes are pushed to clients
+const STAND_SETTINGS = [
+  'maxConcurrent', 'maxWaiting', 'openingTime', 'closingTime', 'pauseReason', 'expectedResumeAt',
+  'orderingPolicy', 'priorityProfiles'
+];
+
+// In-process broadcaster for queue changes, consumed by the /api/queues/events stream.
+// Events are published from model hooks so every code path that changes a queue is covered.
+class QueueEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected client
+    this.setMaxListeners(0);
+    this.lastEventId = 0;
+  }
+
+  publish(type, standQueueId, data) {
+    this.lastEventId += 1;
+    this.emit('event', {
+      id: this.lastEventId,
+      type,
+      standQueueId,
+      at: new Date().toISOString(),
+      ...data
+    });
+  }
+
+  // Defers an event until the surrounding transaction commits, so clients never
+  // hear about a change that is later rolled back
+  publishAfterCommit(options, type, standQueueId, data) {
+    if (options.transaction) {
+      options.transaction.afterCommit(() => this.publish(type, standQueueId, data));
+    } else {
+      this.publish(type, standQueueId, data);
+    }
+  }
+
+  entryPayload(entry) {
+    return {
+      entry: {
+        id: entry.id,
+        userId: entry.userId,
+        status: entry.status,
+        joinedAt: entry.joinedAt,
+        calledAt: entry.calledAt,
+        checkedInAt: entry.checkedInAt,
+        startedAt: entry.startedAt,
+        completedAt: entry.completedAt
+      }
+    };
+  }
+
+  standPayload(standQueue) {
+    return {
+      stand: {
+        id: standQueue.id,
+        enterpriseId: standQueue.enterpriseId,
+        status: standQueue.status,
+        paused: standQueue.paused,
+        pauseReason: standQueue.pauseReason,
+        expectedResumeAt: standQueue.expectedResumeAt,
+        openingTime: standQueue.openingTime,
+        closingTime: standQueue.closingTime,
+        maxConcurrent: standQueue.maxConcurrent,
+        maxWaiting: standQueue.maxWaiting,
+        orderingPolicy: standQueue.orderingPolicy,
+        currentParticipants: standQueue.currentParticipants,
+        totalProcessed: standQueue.totalProcessed
+      }
+    };
+  }
+}
+
+const queueEvents = new QueueEvents();
+
+QueueEntry.afterCreate((entry, options) => {
+  queueEvents.publishAfterCommit(options, 'queue_entry.created', entry.standQueueId, queueEvents.entryPayload(entry));
+});
+
+QueueEntry.afterUpdate((entry, options) => {
+  let type;
+  if (entry.changed('status')) {
+    type = ENTRY_EVENTS[entry.status] || 'queue_entry.updated';
+  } else if (entry.changed('joinedAt')) {
+    type = 'queue_entry.requeued';
+  } else if (entry.changed('checkedInAt')) {
+    type = 'queue_entry.checked_in';
+  } else {
+    return;
+  }
+  queueEvents.publishAfterCommit(options, type, entry.standQueueId, queueEvents.entryPayload(entry));
+});
+
+StandQueue.afterCreate((standQueue, options) => {
+  queueEvents.publishAfterCommit(options, 'stand.created', standQueue.id, queueEvents.standPayload(standQueue));
+});
+
+StandQueue.afterUpdate((standQueue, options) => {
+  let type;
+  if (standQueue.changed('status')) {
+    type = 'stand.status_changed';
+  } else if (standQueue.changed('paused')) {
+    type = standQueue.paused ? 'stand.paused' : 'stand.resumed';
+  } else if (STAND_SETTINGS.some(field => standQueue.changed(field))) {
+    type = 'stand.settings_changed';
+  } else {
+    return;
+  }
+  queueEvents.publishAfterCommit(options, type, standQueue.id, queueEvents.standPayload(standQueue));
+});
+
+module.exports = queueEvents;
@@ -0,0 +1,98 @@
+const { Op } = require('sequelize');
+const { QueueEntry, User, Enterprise } = require('../models');
+const queueConfig = require('../config/queue');
+
+// Lowercase and without accents, so "Génie Civil" matches "genie civil"
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Number of the stand's priority profiles found in a participant's profile
+function profileScore(user, priorityProfiles) {
+  if (!user) {
+    return 0;
+  }
+  const profile = normalize([
+    user.fieldOfStudy,
+    user.degreeLevel,
+    user.opportunityType,
+    ...(user.skills || [])
+  ].filter(Boolean).join(' '));
+
+  return priorityProfiles
+    .map(normalize)
+    .filter(wanted => wanted && profile.includes(wanted))
+    .length;
+}
+
+// Profiles a stand is looking for: its priorityProfiles, or else the enterprise's answer
+// to "Quels profils vous intéressent ?" from the registration form, split on commas,
+// semicolons and line breaks
+async function wantedProfiles(standQueue, transaction) {
+  if (standQueue.priorityProfiles && standQueue.priorityProfiles.length) {
+    return standQueue.priorityProfiles;
+  }
+
+  const enterprise = standQueue.Enterprise
+    || await Enterprise.findByPk(standQueue.enterpriseId, { attributes: ['interestedProfiles'], transaction });
+  if (!enterprise || !enterprise.interestedProfiles) {
+    return [];
+  }
+  return enterprise.interestedProfiles.split(/[,;\n]/).map(profile => profile.trim()).filter(Boolean);
+}
+
+// Ordering policies of the waiting line, selected per stand with StandQueue.orderingPolicy.
+// Each one receives the Waiting entries of a stand, oldest joinedAt first, and returns
+// them in the order they should be called. Array#sort is stable, so ties stay FIFO.
+const POLICIES = {
+  fifo: async (entries) => entries,
+
+  // Participants with the fewest completed interviews, at any stand, go first
+  fewest_interviews: async (entries, { transaction } = {}) => {
+    const counts = await QueueEntry.count({
+      where: {
+        userId: { [Op.in]: entries.map(entry => entry.userId) },
+        status: 'Completed'
+      },
+      group: ['userId'],
+      transaction
+    });
+    const completed = new Map(counts.map(row => [row.userId, row.count]));
+
+    return [...entries].sort((a, b) => (completed.get(a.userId) || 0) - (completed.get(b.userId) || 0));
+  },
+
+  // Participants matching the stand's wanted profiles move up by profileMatchBoostMs
+  // per matched profile, as if they had joined that much earlier
+  profile_match: async (entries, { standQueue, transaction } = {}) => {
+    const priorityProfiles = await wantedProfiles(standQueue, transaction);
+    if (!priorityProfiles.length) {
+      return entries;
+    }
+
+    const users = await User.findAll({
+      where: { id: { [Op.in]: entries.map(entry => entry.userId) } },
+      attributes: ['id', ...User.PROFILE_FIELDS],
+      transaction
+    });
+    const byId = new Map(users.map(user => [user.id, user]));
+
+    const rank = entry => entry.joinedAt.getTime()
+      - profileScore(byId.get(entry.userId), priorityProfiles) * queueConfig.profileMatchBoostMs;
+
+    return [...entries].sort((a, b) => rank(a) - rank(b));
+  }
+};
+
+class QueueOrdering {
+  // Waiting entries of a stand in the order its policy calls them
+  async order(entries, standQueue, transaction) {
+    const policy = POLICIES[standQueue.orderingPolicy] || POLICIES[queueConfig.defaultOrderingPolicy];
+    if (!entries.length) {
+      return entries;
+    }
+    return policy(entries, { standQueue, transaction });
+  }
+}
+
+module.exports = new QueueOrdering();
@@ -0,0 +1,132 @@
+const { Op } = require('sequelize');
+const { StandQueue, QueueEntry } = require('../models');
+const queueEvents = require('./queueEvents');
+const queueConfig = require('../config/queue');
+const queueOrdering = require('./queueOrdering');
+
+class QueuePositions {
+  constructor() {
+    // Recompute a stand's positions whenever one of its entries moves or its ordering
+    // changes, and push them to subscribers as a single queue.positions event. Nobody
+    // hears it while no client is connected to the event stream, so it's skipped then.
+    const onEvent = (event) => {
+      if (!event.type.startsWith('queue_entry.') && event.type !== 'stand.settings_changed') {
+        return;
+      }
+      if (!queueEvents.listeners('event').some(listener => listener !== onEvent)) {
+        return;
+      }
+      this.forStand(event.standQueueId)
+        .then(snapshot => snapshot && queueEvents.publish('queue.positions', event.standQueueId, snapshot))
+        .catch(error => console.error('Error computing queue positions:', error));
+    };
+    queueEvents.on('event', onEvent);
+  }
+
+  // Mean duration of the stand's recent interviews, from startedAt to completedAt
+  async averageDurationMs(standQueueId) {
+    const recent = await QueueEntry.findAll({
+      where: {
+        standQueueId,
+        status: 'Completed',
+        startedAt: { [Op.ne]: null },
+        completedAt: { [Op.ne]: null }
+      },
+      attributes: ['startedAt', 'completedAt'],
+      order: [['completedAt', 'DESC']],
+      limit: queueConfig.waitEstimateSampleSize
+    });
+
+    const durations = recent
+      .map(entry => entry.completedAt - entry.startedAt)
+      .filter(duration => duration > 0);
+
+    if (!durations.length) {
+      return queueConfig.defaultInterviewMs;
+    }
+    return Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length);
+  }
+
+  // Everyone ahead in line and every running interview has to finish, maxConcurrent at a
+  // time, before a free spot opens up for the participant at this position
+  estimateWaitMs(position, activeCount, maxConcurrent, averageDurationMs) {
+    const mustFinish = (position - 1) + activeCount - maxConcurrent + 1;
+    if (mustFinish <= 0) {
+      return 0;
+    }
+    return Math.ceil(mustFinish / maxConcurrent) * averageDurationMs;
+  }
+
+  async forStand(standQueueId) {
+    const standQueue = await StandQueue.findByPk(standQueueId);
+    if (!standQueue) {
+      return null;
+    }
+
+    const [entries, averageDurationMs] = await Promise.all([
+      QueueEntry.findAll({
+        where: { standQueueId, status: { [Op.in]: ['Waiting', 'Active'] } },
+        order: [['joinedAt', 'ASC']]
+      }),
+      this.averageDurationMs(standQueueId)
+    ]);
+
+    const active = entries.filter(entry => entry.status === 'Active');
+    const waiting = await queueOrdering.order(entries.filter(entry => entry.status === 'Waiting'), standQueue);
+
+    const positions = [
+      ...active.map(entry => ({
+        entryId: entry.id,
+        userId: entry.userId,
+        status: entry.status,
+        position: 0,
+        estimatedWaitMs: 0
+      })),
+      ...waiting.map((entry, index) => ({
+        entryId: entry.id,
+        userId: entry.userId,
+        status: entry.status,
+        position: index + 1,
+        estimatedWaitMs: this.estimateWaitMs(index + 1, active.length, standQueue.maxConcurrent, averageDurationMs)
+      }))
+    ];
+
+    return {
+      enterpriseId: standQueue.enterpriseId,
+      maxConcurrent: standQueue.maxConcurrent,
+      orderingPolicy: standQueue.orderingPolicy,
+      activeCount: active.length,
+      waitingCount: waiting.length,
+      averageDurationMs,
+      // What someone joining now should expect
+      estimatedWaitMs: this.estimateWaitMs(waiting.length + 1, active.length, standQueue.maxConcurrent, averageDurationMs),
+      positions
+    };
+  }
+
+  // Position and estimated wait of a participant in every queue they are in
+  async forUser(userId) {
+    const entries = await QueueEntry.findAll({
+      where: { userId, status: { [Op.in]: ['Waiting', 'Active'] } },
+      attributes: ['standQueueId']
+    });
+
+    const standQueueIds = [...new Set(entries.map(entry => entry.standQueueId))];
+    const snapshots = await Promise.all(standQueueIds.map(id => this.forStand(id)));
+
+    return snapshots.flatMap((snapshot, index) => (snapshot ? snapshot.positions : [])
+      .filter(position => position.userId === userId)
+      .map(position => ({
+        entryId: position.entryId,
+        standQueueId: standQueueIds[index],
+        enterpriseId: snapshot.enterpriseId,
+        status: position.status,
+        position: position.position,
+        estimatedWaitMs: position.estimatedWaitMs,
+        estimatedStartAt: new Date(Date.now() + position.estimatedWaitMs).toISOString(),
+        averageDurationMs: snapshot.averageDurationMs
+      })));
+  }
+}
+
+module.exports = new QueuePositions();
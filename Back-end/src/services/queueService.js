@@ -0,0 +1,544 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/database');
+const { StandQueue, QueueEntry, User, Enterprise } = require('../models');
+const queueConfig = require('../config/queue');
+const queueOrdering = require('./queueOrdering');
+const queuePositions = require('./queuePositions');
+
+// Allowed status changes of a queue entry. Active goes back to Waiting when the stand
+// skips a participant who was called, and Completed goes back to Active when an interview
+// was closed by mistake; Cancelled, Left, NoShow and Expired are final.
+const TRANSITIONS = {
+  Waiting: ['Active', 'Cancelled', 'Left', 'Expired'],
+  Active: ['Waiting', 'Completed', 'Cancelled', 'Left', 'NoShow'],
+  Completed: ['Active'],
+  Cancelled: [],
+  Left: [],
+  NoShow: [],
+  Expired: []
+};
+
+const OPEN_STATUSES = ['Waiting', 'Active'];
+
+const ENTERPRISE_STAND_SETTINGS = [
+  'maxConcurrent', 'maxWaiting', 'openingTime', 'closingTime', 'paused', 'pauseReason', 'expectedResumeAt',
+  'orderingPolicy', 'priorityProfiles'
+];
+const STAND_SETTINGS = ['status', 'noShowTimeoutMinutes', 'waitingExpiryMinutes', ...ENTERPRISE_STAND_SETTINGS];
+
+// Single implementation of the stand queue rules, shared by /api/queues and
+// /api/enterprise/queue. Every change runs in a transaction, one at a time, so capacity
+// checks and the StandQueue counters can't race each other.
+class QueueService {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  queueError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  exclusive(fn) {
+    const run = this.tail.then(() => sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, fn));
+    this.tail = run.catch(() => {});
+    return run;
+  }
+
+  canTransition(from, to) {
+    return TRANSITIONS[from].includes(to);
+  }
+
+  // Moves an entry to a new status, keeping timestamps and the stand counters in step.
+  // currentParticipants counts Active entries and totalProcessed Completed ones.
+  async transition(entry, to, transaction, extraChanges = {}) {
+    if (!this.canTransition(entry.status, to)) {
+      throw this.queueError(`Cannot move a queue entry from ${entry.status} to ${to}`, 409);
+    }
+
+    const from = entry.status;
+    const now = new Date();
+    const changes = { status: to, ...extraChanges };
+
+    // The interview starts when the participant checks in at the stand
+    if (to === 'Active' && from === 'Waiting') {
+      changes.calledAt = now;
+    }
+    if (to === 'Waiting') {
+      changes.calledAt = null;
+      changes.checkedInAt = null;
+      changes.startedAt = null;
+    }
+    if (to === 'Completed') {
+      changes.completedAt = now;
+      if (!entry.startedAt) {
+        changes.startedAt = entry.calledAt;
+      }
+    }
+    // A reopened interview took place, so the participant counts as checked in and the
+    // no-show check in expireStaleEntries leaves the entry alone
+    if (from === 'Completed') {
+      changes.completedAt = null;
+      if (!entry.checkedInAt) {
+        changes.checkedInAt = entry.startedAt || now;
+      }
+    }
+
+    await entry.update(changes, { transaction });
+
+    const counters = {
+      currentParticipants: (to === 'Active' ? 1 : 0) - (from === 'Active' ? 1 : 0),
+      totalProcessed: (to === 'Completed' ? 1 : 0) - (from === 'Completed' ? 1 : 0)
+    };
+    if (counters.currentParticipants || counters.totalProcessed) {
+      await StandQueue.increment(counters, { where: { id: entry.standQueueId }, transaction });
+    }
+
+    return entry;
+  }
+
+  // Runs fn(entry, transaction) on an entry loaded inside the transaction, returning the
+  // entry as it was before together with its new state. When standQueueId or userId is
+  // given the entry must belong to that stand or participant.
+  async updateEntry(entryId, fn, { standQueueId, userId } = {}) {
+    return this.exclusive(async (transaction) => {
+      const entry = await QueueEntry.findByPk(entryId, { transaction });
+      if (!entry || (standQueueId && entry.standQueueId !== standQueueId) || (userId && entry.userId !== userId)) {
+        throw this.queueError('Queue entry not found', 404);
+      }
+
+      const before = entry.toJSON();
+      await fn(entry, transaction);
+      return { before, entry };
+    });
+  }
+
+  async findStandForEnterprise(enterpriseId) {
+    const standQueue = await StandQueue.findOne({ where: { enterpriseId }, include: [Enterprise] });
+    if (!standQueue) {
+      throw this.queueError('Queue not found for this enterprise', 404);
+    }
+    return standQueue;
+  }
+
+  // Keeps the given stand settings, turning empty strings into null so optional settings
+  // can be cleared. Resuming a stand clears the pause details.
+  standUpdates(settings, fields) {
+    const updates = {};
+    for (const field of fields) {
+      if (settings[field] !== undefined) {
+        updates[field] = settings[field] === '' ? null : settings[field];
+      }
+    }
+
+    if (updates.paused === false) {
+      updates.pauseReason = null;
+      updates.expectedResumeAt = null;
+    }
+    return updates;
+  }
+
+  // Creates or updates the stand of an enterprise with any of STAND_SETTINGS
+  async saveStand(enterpriseId, settings) {
+    if (!enterpriseId) {
+      throw this.queueError('enterpriseId is required', 400);
+    }
+
+    return this.exclusive(async (transaction) => {
+      const standQueue = await StandQueue.findOne({ where: { enterpriseId }, transaction });
+      const updates = this.standUpdates(settings, STAND_SETTINGS);
+
+      if (!standQueue) {
+        if (!(await Enterprise.findByPk(enterpriseId, { transaction }))) {
+          throw this.queueError('Enterprise not found', 404);
+        }
+        return { before: null, standQueue: await StandQueue.create({ enterpriseId, ...updates }, { transaction }) };
+      }
+
+      const before = standQueue.toJSON();
+      await standQueue.update(updates, { transaction });
+      return { before, standQueue };
+    });
+  }
+
+  // Settings an enterprise may change on its own stand. The status and the timeouts stay
+  // with the organizers.
+  async configureStand(enterpriseId, settings) {
+    return this.exclusive(async (transaction) => {
+      const standQueue = await StandQueue.findOne({ where: { enterpriseId }, transaction });
+      if (!standQueue) {
+        throw this.queueError('Queue not found for this enterprise', 404);
+      }
+
+      const before = standQueue.toJSON();
+      await standQueue.update(this.standUpdates(settings, ENTERPRISE_STAND_SETTINGS), { transaction });
+      return { before, standQueue };
+    });
+  }
+
+  // Why the stand takes no new participants right now, or null if it does
+  async joinBlocker(standQueue, transaction) {
+    if (standQueue.status === 'Closed') {
+      return 'This stand queue is not available';
+    }
+    if (standQueue.status === 'Full') {
+      return 'This stand queue is full';
+    }
+    if (standQueue.paused) {
+      const reason = standQueue.pauseReason ? `: ${standQueue.pauseReason}` : '';
+      const resume = standQueue.expectedResumeAt
+        ? ` (expected back at ${standQueue.expectedResumeAt.toISOString()})`
+        : '';
+      return `This stand is paused${reason}${resume}`;
+    }
+    if (!standQueue.isWithinHours()) {
+      return `This stand is open from ${standQueue.openingTime || '00:00'} to ${standQueue.closingTime || '24:00'}`;
+    }
+
+    if (standQueue.maxWaiting) {
+      const waiting = await QueueEntry.count({
+        where: { standQueueId: standQueue.id, status: 'Waiting' },
+        transaction
+      });
+      if (waiting >= standQueue.maxWaiting) {
+        return 'This stand queue is full';
+      }
+    }
+
+    return null;
+  }
+
+  async join(userId, enterpriseId) {
+    return this.exclusive(async (transaction) => {
+      const user = await User.findByPk(userId, { transaction });
+      if (user.queueBlockedUntil && user.queueBlockedUntil > new Date()) {
+        throw this.queueError(
+          `You missed ${user.noShowCount} calls and cannot join queues until ${user.queueBlockedUntil.toISOString()}`,
+          403
+        );
+      }
+
+      const standQueue = await StandQueue.findOne({ where: { enterpriseId }, transaction });
+      if (!standQueue) {
+        throw this.queueError('This stand queue is not available', 400);
+      }
+      const blocker = await this.joinBlocker(standQueue, transaction);
+      if (blocker) {
+        throw this.queueError(blocker, 400);
+      }
+
+      const openEntries = await QueueEntry.findAll({
+        where: { userId, status: { [Op.in]: OPEN_STATUSES } },
+        transaction
+      });
+
+      if (openEntries.some(entry => entry.standQueueId === standQueue.id)) {
+        throw this.queueError('You are already in this queue', 400);
+      }
+      if (openEntries.length >= queueConfig.maxQueuesPerParticipant) {
+        throw this.queueError(`You can only be in ${queueConfig.maxQueuesPerParticipant} queues at a time`, 400);
+      }
+
+      return QueueEntry.create({
+        userId,
+        standQueueId: standQueue.id,
+        status: 'Waiting'
+      }, { transaction });
+    });
+  }
+
+  async leave(userId, enterpriseId) {
+    return this.exclusive(async (transaction) => {
+      const entry = await QueueEntry.findOne({
+        where: { userId, status: { [Op.in]: OPEN_STATUSES } },
+        include: [{
+          model: StandQueue,
+          where: { enterpriseId }
+        }],
+        transaction
+      });
+
+      if (!entry) {
+        throw this.queueError('You are not in this queue', 404);
+      }
+
+      const before = entry.toJSON();
+      await this.transition(entry, 'Left', transaction);
+      return { before, entry };
+    });
+  }
+
+  // Takes a participant out of every queue they are in, within the caller's transaction.
+  // Used when the account is deleted, so the stand counters don't keep counting them.
+  async leaveAll(userId, transaction) {
+    const entries = await QueueEntry.findAll({
+      where: { userId, status: { [Op.in]: OPEN_STATUSES } },
+      transaction
+    });
+
+    for (const entry of entries) {
+      await this.transition(entry, 'Left', transaction);
+    }
+    return entries;
+  }
+
+  // Why a waiting entry can't be started right now, or null if it can
+  async startBlocker(entry, standQueue, transaction) {
+    if (standQueue.currentParticipants >= standQueue.maxConcurrent) {
+      return `This stand is already interviewing ${standQueue.maxConcurrent} participants`;
+    }
+
+    const activeElsewhere = await QueueEntry.count({
+      where: { userId: entry.userId, status: 'Active', id: { [Op.ne]: entry.id } },
+      transaction
+    });
+    if (activeElsewhere >= queueConfig.maxActivePerParticipant) {
+      return 'This participant is already being interviewed at another stand';
+    }
+
+    return null;
+  }
+
+  // Starts the interview of a waiting participant if the stand has room and the
+  // participant isn't already being interviewed elsewhere
+  async start(entryId) {
+    return this.updateEntry(entryId, async (entry, transaction) => {
+      const standQueue = await StandQueue.findByPk(entry.standQueueId, { transaction });
+      const blocker = await this.startBlocker(entry, standQueue, transaction);
+      if (blocker) {
+        throw this.queueError(blocker, 409);
+      }
+
+      await this.transition(entry, 'Active', transaction);
+    });
+  }
+
+  // Calls the first participant in line, in the order of the stand's ordering policy, who
+  // can be interviewed now. Participants busy at another stand keep their place and are
+  // passed over until they are free.
+  async callNext(standQueueId) {
+    return this.exclusive(async (transaction) => {
+      const standQueue = await StandQueue.findByPk(standQueueId, { transaction });
+      if (standQueue.currentParticipants >= standQueue.maxConcurrent) {
+        throw this.queueError(`This stand is already interviewing ${standQueue.maxConcurrent} participants`, 409);
+      }
+
+      const waiting = await queueOrdering.order(await QueueEntry.findAll({
+        where: { standQueueId, status: 'Waiting' },
+        order: [['joinedAt', 'ASC']],
+        transaction
+      }), standQueue, transaction);
+      if (!waiting.length) {
+        throw this.queueError('No participant is waiting', 404);
+      }
+
+      for (const entry of waiting) {
+        if (!(await this.startBlocker(entry, standQueue, transaction))) {
+          return this.transition(entry, 'Active', transaction);
+        }
+      }
+      throw this.queueError('Every waiting participant is being interviewed at another stand', 409);
+    });
+  }
+
+  // Sends a participant to the back of the line, e.g. when they don't answer a call
+  async skip(entryId, { standQueueId } = {}) {
+    return this.updateEntry(entryId, async (entry, transaction) => {
+      const requeue = { joinedAt: new Date(), skipCount: entry.skipCount + 1 };
+
+      if (entry.status === 'Active') {
+        await this.transition(entry, 'Waiting', transaction, requeue);
+      } else if (entry.status === 'Waiting') {
+        await entry.update(requeue, { transaction });
+      } else {
+        throw this.queueError(`Cannot skip a queue entry that is ${entry.status}`, 409);
+      }
+    }, { standQueueId });
+  }
+
+  async complete(entryId, { standQueueId } = {}) {
+    return this.updateEntry(entryId, (entry, transaction) => this.transition(entry, 'Completed', transaction), { standQueueId });
+  }
+
+  // Reopens an interview that was completed by mistake. Capacity is not checked because
+  // the participant was already taking up the spot.
+  async uncomplete(entryId) {
+    return this.updateEntry(entryId, (entry, transaction) => this.transition(entry, 'Active', transaction));
+  }
+
+  // Participants (userId given) can only cancel their own entries while still waiting;
+  // once called they leave the stand through leave()
+  async cancel(entryId, { userId } = {}) {
+    return this.updateEntry(entryId, async (entry, transaction) => {
+      if (userId && entry.status !== 'Waiting') {
+        throw this.queueError('Only a queue entry that is still waiting can be cancelled', 409);
+      }
+      await this.transition(entry, 'Cancelled', transaction);
+    }, { userId });
+  }
+
+  // Confirms that a participant arrived, which starts the interview and exempts the entry
+  // from the no-show timeout. A waiting participant who walks up is started right away if
+  // the stand has room.
+  async checkIn(entryId, { standQueueId } = {}) {
+    return this.updateEntry(entryId, async (entry, transaction) => {
+      if (entry.checkedInAt) {
+        throw this.queueError('This participant has already checked in', 409);
+      }
+
+      const now = new Date();
+      const arrival = { checkedInAt: now, startedAt: now };
+
+      if (entry.status === 'Waiting') {
+        const standQueue = await StandQueue.findByPk(entry.standQueueId, { transaction });
+        const blocker = await this.startBlocker(entry, standQueue, transaction);
+        if (blocker) {
+          throw this.queueError(blocker, 409);
+        }
+        await this.transition(entry, 'Active', transaction, arrival);
+      } else if (entry.status === 'Active') {
+        await entry.update(arrival, { transaction });
+      } else {
+        throw this.queueError(`Cannot check in a queue entry that is ${entry.status}`, 409);
+      }
+    }, { standQueueId });
+  }
+
+  // Queues a participant is in, with their position, and the interviews they completed
+  async forParticipant(userId) {
+    const [positions, completed] = await Promise.all([
+      queuePositions.forUser(userId),
+      QueueEntry.findAll({
+        where: { userId, status: 'Completed' },
+        include: [{ model: StandQueue, attributes: ['enterpriseId'] }],
+        order: [['completedAt', 'DESC']]
+      })
+    ]);
+    const open = await QueueEntry.findAll({
+      where: { id: { [Op.in]: positions.map(position => position.entryId) } }
+    });
+
+    const enterpriseIds = [...new Set([
+      ...positions.map(position => position.enterpriseId),
+      ...completed.map(entry => entry.StandQueue.enterpriseId)
+    ])];
+    const enterprises = await Enterprise.findAll({
+      where: { id: { [Op.in]: enterpriseIds } },
+      attributes: ['id', 'name']
+    });
+    const enterpriseName = (id) => {
+      const enterprise = enterprises.find(item => item.id === id);
+      return enterprise ? enterprise.name : null;
+    };
+
+    return {
+      maxQueues: queueConfig.maxQueuesPerParticipant,
+      current: positions.map((position) => {
+        const entry = open.find(item => item.id === position.entryId);
+        return {
+          ...position,
+          enterpriseName: enterpriseName(position.enterpriseId),
+          joinedAt: entry.joinedAt,
+          calledAt: entry.calledAt,
+          checkedInAt: entry.checkedInAt
+        };
+      }),
+      history: completed.map(entry => ({
+        entryId: entry.id,
+        standQueueId: entry.standQueueId,
+        enterpriseId: entry.StandQueue.enterpriseId,
+        enterpriseName: enterpriseName(entry.StandQueue.enterpriseId),
+        joinedAt: entry.joinedAt,
+        calledAt: entry.calledAt,
+        checkedInAt: entry.checkedInAt,
+        startedAt: entry.startedAt,
+        completedAt: entry.completedAt
+      }))
+    };
+  }
+
+  // Counts a no-show against the participant, blocking those who keep doing it from
+  // joining queues for a while
+  async recordNoShow(userId, transaction) {
+    const user = await User.findByPk(userId, { transaction });
+    // The participant's account may have been deleted since they were called
+    if (!user) {
+      return;
+    }
+
+    const noShowCount = user.noShowCount + 1;
+
+    await user.update({
+      noShowCount,
+      ...(noShowCount >= queueConfig.noShowBlockThreshold && {
+        queueBlockedUntil: new Date(Date.now() + queueConfig.noShowBlockMs)
+      })
+    }, { transaction });
+  }
+
+  async markNoShow(entryId, { standQueueId } = {}) {
+    return this.updateEntry(entryId, async (entry, transaction) => {
+      await this.transition(entry, 'NoShow', transaction);
+      await this.recordNoShow(entry.userId, transaction);
+    }, { standQueueId });
+  }
+
+  // Run periodically from server.js. Marks called participants who didn't check in within
+  // the stand's no-show timeout as NoShow, freeing their spot, and drops participants who
+  // have been waiting longer than the stand's waiting expiry. Returns what was changed.
+  async expireStaleEntries() {
+    const standQueues = await StandQueue.findAll();
+    const results = [];
+
+    for (const standQueue of standQueues) {
+      const noShowMinutes = standQueue.noShowTimeoutMinutes || queueConfig.noShowTimeoutMinutes;
+      const expiryMinutes = standQueue.waitingExpiryMinutes || queueConfig.waitingExpiryMinutes;
+
+      // Selected inside the transaction so a check-in that just happened is respected. A
+      // stand that fails is logged and retried on the next run, without holding up the others.
+      const changes = await this.exclusive(async (transaction) => {
+        const noShows = await QueueEntry.findAll({
+          where: {
+            standQueueId: standQueue.id,
+            status: 'Active',
+            checkedInAt: null,
+            calledAt: { [Op.lt]: new Date(Date.now() - noShowMinutes * 60 * 1000) }
+          },
+          transaction
+        });
+        const expired = await QueueEntry.findAll({
+          where: {
+            standQueueId: standQueue.id,
+            status: 'Waiting',
+            joinedAt: { [Op.lt]: new Date(Date.now() - expiryMinutes * 60 * 1000) }
+          },
+          transaction
+        });
+
+        const changed = [];
+        for (const entry of noShows) {
+          const before = entry.toJSON();
+          await this.transition(entry, 'NoShow', transaction);
+          await this.recordNoShow(entry.userId, transaction);
+          changed.push({ action: 'queue_entry.no_show', before, entry });
+        }
+        for (const entry of expired) {
+          const before = entry.toJSON();
+          await this.transition(entry, 'Expired', transaction);
+          changed.push({ action: 'queue_entry.expire', before, entry });
+        }
+        return changed;
+      }).catch((error) => {
+        console.error(`Error expiring queue entries of stand ${standQueue.id}:`, error);
+        return [];
+      });
+
+      results.push(...changes);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,180 @@
+const { Op } = require('sequelize');
+const { InterviewSlot, SlotBooking, User } = require('../models');
+const queueService = require('./queueService');
+const slotConfig = require('../config/slots');
+
+// Pre-booked interview slots, the scheduled counterpart of the walk-in stand queue
+class SlotService {
+  slotError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Shares the queue service lock: bookings and queue changes then never compete for
+  // the SQLite write lock, and capacity checks can't race
+  exclusive(fn) {
+    return queueService.exclusive(fn);
+  }
+
+  overlaps(a, b) {
+    return a.startsAt < b.endsAt() && b.startsAt < a.endsAt();
+  }
+
+  async list({ enterpriseId, from, to } = {}) {
+    const where = {
+      status: 'Open',
+      startsAt: {
+        [Op.gte]: from ? new Date(from) : new Date(),
+        ...(to && { [Op.lte]: new Date(to) })
+      }
+    };
+    if (enterpriseId) {
+      where.enterpriseId = enterpriseId;
+    }
+
+    const slots = await InterviewSlot.findAll({ where, order: [['startsAt', 'ASC']] });
+    return slots.map(slot => ({
+      ...slot.toJSON(),
+      available: slot.capacity - slot.bookedCount
+    }));
+  }
+
+  async create(enterpriseId, { startsAt, durationMinutes, capacity }) {
+    const start = new Date(startsAt);
+    if (!startsAt || Number.isNaN(start.getTime())) {
+      throw this.slotError('startsAt must be a valid date', 400);
+    }
+    if (start <= new Date()) {
+      throw this.slotError('Slots must start in the future', 400);
+    }
+
+    return InterviewSlot.create({ enterpriseId, startsAt: start, durationMinutes, capacity });
+  }
+
+  // Cancels a slot of the enterprise together with all its bookings
+  async cancelSlot(enterpriseId, slotId) {
+    return this.exclusive(async (transaction) => {
+      const slot = await InterviewSlot.findOne({ where: { id: slotId, enterpriseId }, transaction });
+      if (!slot) {
+        throw this.slotError('Slot not found', 404);
+      }
+      if (slot.status === 'Cancelled') {
+        throw this.slotError('This slot is already cancelled', 409);
+      }
+
+      const before = slot.toJSON();
+      await SlotBooking.update(
+        { status: 'Cancelled', cancelledAt: new Date() },
+        { where: { slotId, status: 'Booked' }, transaction }
+      );
+      await slot.update({ status: 'Cancelled', bookedCount: 0 }, { transaction });
+      return { before, slot };
+    });
+  }
+
+  async book(userId, slotId) {
+    return this.exclusive(async (transaction) => {
+      const slot = await InterviewSlot.findByPk(slotId, { transaction });
+      if (!slot || slot.status !== 'Open') {
+        throw this.slotError('Slot not found', 404);
+      }
+      if (slot.startsAt <= new Date()) {
+        throw this.slotError('This slot has already started', 409);
+      }
+      if (slot.bookedCount >= slot.capacity) {
+        throw this.slotError('This slot is fully booked', 409);
+      }
+
+      const booked = await SlotBooking.findAll({
+        where: { userId, status: 'Booked' },
+        include: [{ model: InterviewSlot }],
+        transaction
+      });
+
+      if (booked.some(booking => booking.slotId === slotId)) {
+        throw this.slotError('You have already booked this slot', 409);
+      }
+      const clash = booked.find(booking => this.overlaps(booking.InterviewSlot, slot));
+      if (clash) {
+        throw this.slotError(`This slot overlaps your booking at ${clash.InterviewSlot.startsAt.toISOString()}`, 409);
+      }
+
+      const booking = await SlotBooking.create({ slotId, userId }, { transaction });
+      await slot.increment('bookedCount', { transaction });
+      return booking;
+    });
+  }
+
+  async cancelBooking(userId, bookingId) {
+    return this.exclusive(async (transaction) => {
+      const booking = await SlotBooking.findOne({
+        where: { id: bookingId, userId },
+        include: [{ model: InterviewSlot }],
+        transaction
+      });
+      if (!booking) {
+        throw this.slotError('Booking not found', 404);
+      }
+      if (booking.status !== 'Booked') {
+        throw this.slotError('This booking is already cancelled', 409);
+      }
+      if (booking.InterviewSlot.startsAt <= new Date()) {
+        throw this.slotError('This slot has already started', 409);
+      }
+
+      const before = booking.toJSON();
+      await booking.update({ status: 'Cancelled', cancelledAt: new Date() }, { transaction });
+      await booking.InterviewSlot.decrement('bookedCount', { transaction });
+      return { before, booking };
+    });
+  }
+
+  // Removes all of a participant's bookings within the caller's transaction, freeing the
+  // places they held. Used when the account is deleted.
+  async removeBookings(userId, transaction) {
+    const bookings = await SlotBooking.findAll({ where: { userId }, transaction });
+
+    for (const booking of bookings) {
+      if (booking.status === 'Booked') {
+        await InterviewSlot.decrement('bookedCount', { where: { id: booking.slotId }, transaction });
+      }
+      await booking.destroy({ transaction });
+    }
+    return bookings;
+  }
+
+  async forUser(userId) {
+    return SlotBooking.findAll({
+      where: { userId, status: 'Booked' },
+      include: [{ model: InterviewSlot }],
+      order: [[InterviewSlot, 'startsAt', 'ASC']]
+    });
+  }
+
+  // Upcoming and running slots of an enterprise with the participants who booked them
+  async forEnterprise(enterpriseId) {
+    // Slots last at most maxDurationMinutes, so anything that started earlier is over
+    const slots = await InterviewSlot.findAll({
+      where: {
+        enterpriseId,
+        status: 'Open',
+        startsAt: { [Op.gte]: new Date(Date.now() - slotConfig.maxDurationMinutes * 60 * 1000) }
+      },
+      include: [{
+        model: SlotBooking,
+        where: { status: 'Booked' },
+        required: false,
+        include: [{
+          model: User,
+          attributes: ['id', 'username', ...User.PROFILE_FIELDS]
+        }]
+      }],
+      order: [['startsAt', 'ASC']]
+    });
+
+    return slots.filter(slot => slot.endsAt() > new Date());
+  }
+}
+
+module.exports = new SlotService();
@@ -0,0 +1,88 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser } = require('./helpers');
+const { AuditLog, Contact } = require('../src/models');
+const contactService = require('../src/services/contactService');
+
+before(async () => {
+  await setupDatabase();
+});
+
+function sheetRow(companyName, position) {
+  return {
+    'Horodateur': '2026-09-01 10:00:00',
+    "Nom de l'entreprise": companyName,
+    'Votre poste': position,
+    'E-mail': `contact@${companyName.toLowerCase()}.test`
+  };
+}
+
+test('sync records one audit entry per added or updated contact', async () => {
+  const admin = await createUser('Admin');
+  const req = { user: admin, ip: '127.0.0.1', get: () => 'test' };
+
+  const first = await contactService.sync([sheetRow('Acme', 'HR'), sheetRow('Globex', 'CTO')], { req });
+  assert.equal(first.added.length, 2);
+
+  const second = await contactService.sync([sheetRow('Acme', 'Recruiter'), sheetRow('Globex', 'CTO')], { req });
+  assert.equal(second.updated.length, 1);
+  assert.equal(second.unchanged.length, 1);
+
+  const [acme, globex] = first.added.map(added => added.id);
+  const acmeLogs = await AuditLog.findAll({ where: { entityId: acme }, order: [['createdAt', 'ASC']] });
+  assert.deepEqual(acmeLogs.map(log => log.action), ['contact.sync', 'contact.sync']);
+  assert.equal(acmeLogs[0].actorId, admin.id);
+  assert.deepEqual(acmeLogs[1].changes.contactPosition, { before: 'HR', after: 'Recruiter' });
+  assert.equal(await AuditLog.count({ where: { entityId: globex } }), 1);
+
+  const { events } = await contactService.timeline(acme);
+  assert.equal(events.filter(event => event.action === 'contact.sync').length, 2);
+});
+
+test('a dry run records no audit entries', async () => {
+  const before = await AuditLog.count();
+
+  await contactService.sync([sheetRow('Initech', 'CEO')], { dryRun: true });
+
+  assert.equal(await AuditLog.count(), before);
+});
+
+test('logCall counts the call and moves the contact along its outcomes', async () => {
+  const organizer = await createUser('Organizer');
+  const contact = await Contact.create({
+    companyName: 'Umbrella',
+    sheetRow: 100,
+    contactStatus: 'assigned',
+    assignedTo: organizer.id
+  });
+  const caller = { user: organizer, canManageAll: false };
+
+  const { contact: first } = await contactService.logCall(contact.id, {
+    channel: 'phone',
+    outcome: 'no_answer',
+    version: contact.version
+  }, caller);
+  const { contact: called } = await contactService.logCall(contact.id, {
+    channel: 'phone',
+    outcome: 'interested',
+    notes: 'Send the stand plan',
+    version: first.version
+  }, caller);
+
+  assert.equal(called.numberOfCalls, 2);
+  assert.equal(called.contactStatus, 'contacted');
+  assert.equal(called.contactResult, 'interested');
+
+  const { events } = await contactService.timeline(contact.id);
+  assert.deepEqual(events.filter(event => event.type === 'call').map(event => event.outcome), ['no_answer', 'interested']);
+});
+
+test('logCall is refused to organizers the contact is not assigned to', async () => {
+  const contact = await Contact.create({ companyName: 'Hooli', sheetRow: 101, contactStatus: 'pending' });
+  const organizer = await createUser('Organizer');
+
+  await assert.rejects(
+    contactService.logCall(contact.id, { channel: 'phone', outcome: 'no_answer' }, { user: organizer, canManageAll: false }),
+    { status: 403 }
+  );
+});
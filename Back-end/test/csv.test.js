@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Csv = require('../src/apis/csv');
+const { parseSheetCsv } = require('../src/apis/GoogleAPI');
+
+test('parse splits records and fields', () => {
+  assert.deepEqual(Csv.parse('a,b\r\n1,2\n3,\r4,5\n'), {
+    records: [['a', 'b'], ['1', '2'], ['3', ''], ['4', '5']],
+    errors: []
+  });
+});
+
+test('parse reads quoted fields with commas, line breaks and doubled quotes', () => {
+  const { records, errors } = Csv.parse('"a,b","line\nbreak","say ""hi"""\n');
+
+  assert.deepEqual(records, [['a,b', 'line\nbreak', 'say "hi"']]);
+  assert.deepEqual(errors, []);
+});
+
+test('parse ignores a byte order mark', () => {
+  assert.deepEqual(Csv.parse('\ufeffa,b').records, [['a', 'b']]);
+});
+
+test('parse reports text after a closing quote and goes on at the next line', () => {
+  const { records, errors } = Csv.parse('a,b\n"1"x,2\n3,4');
+
+  assert.deepEqual(records, [['a', 'b'], ['1'], ['3', '4']]);
+  assert.deepEqual(errors, [{
+    record: 1,
+    line: 2,
+    message: 'Unexpected character after closing quote on line 2'
+  }]);
+});
+
+test('parse counts the lines of quoted line breaks in error lines', () => {
+  const { errors } = Csv.parse('"a\nb",c\n"d"e\n');
+
+  assert.deepEqual(errors.map(error => [error.record, error.line]), [[1, 3]]);
+});
+
+test('parse throws on an unterminated quoted field', () => {
+  assert.throws(() => Csv.parse('a,"b\n1,2'), /Unterminated quoted field/);
+});
+
+test('parseSheetCsv lists a malformed row as failed and keeps the following rows', () => {
+  const text = [
+    "Nom de l'entreprise,E-mail",
+    '"Acme"x,acme@example.test',
+    'Globex,globex@example.test'
+  ].join('\n');
+
+  const { records, report } = parseSheetCsv(text);
+
+  assert.deepEqual(records.map(record => record["Nom de l'entreprise"]), ['Globex']);
+  assert.equal(report.rows, 2);
+  assert.equal(report.mapped, 1);
+  assert.deepEqual(report.failed, [{ row: 2, errors: ['Unexpected character after closing quote on line 2'] }]);
+});
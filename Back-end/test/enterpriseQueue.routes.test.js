@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser, createStand, login, startApp } = require('./helpers');
+const queueService = require('../src/services/queueService');
+const slotService = require('../src/services/slotService');
+
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('GET /api/enterprise/queue shows the stand with walk-ins and booked slots', async () => {
+  const { enterprise, standQueue } = await createStand();
+  const owner = await createUser('Enterprise', { enterpriseId: enterprise.id });
+  const walkIn = await createUser();
+  const booker = await createUser();
+
+  await queueService.join(walkIn.id, enterprise.id);
+  const slot = await slotService.create(enterprise.id, {
+    startsAt: new Date(Date.now() + 60 * 60 * 1000),
+    durationMinutes: 15,
+    capacity: 1
+  });
+  await slotService.book(booker.id, slot.id);
+
+  const response = await fetch(`${app.url}/api/enterprise/queue`, {
+    headers: { Cookie: await login(owner) }
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200, body.error);
+  assert.equal(body.id, standQueue.id);
+  assert.deepEqual(body.schedule.map(item => item.type), ['walk_in', 'slot']);
+  assert.deepEqual(body.schedule[0].userIds, [walkIn.id]);
+  assert.deepEqual(body.schedule[1].userIds, [booker.id]);
+});
+
+test('GET /api/enterprise/:id still returns an enterprise', async () => {
+  const { enterprise } = await createStand();
+  const organizer = await createUser('Organizer');
+
+  const response = await fetch(`${app.url}/api/enterprise/${enterprise.id}`, {
+    headers: { Cookie: await login(organizer) }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).id, enterprise.id);
+});
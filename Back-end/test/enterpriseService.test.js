@@ -0,0 +1,46 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('./helpers');
+const Auth = require('../src/apis/auth');
+const { Enterprise, User } = require('../src/models');
+const enterpriseService = require('../src/services/enterpriseService');
+
+before(async () => {
+  await setupDatabase();
+});
+
+test('create stores the former position field as contactPosition', async () => {
+  const { enterprise } = await enterpriseService.create({
+    username: 'acme',
+    password: 'Passw0rd!x',
+    enterpriseData: { name: 'Acme', position: 'HR manager' }
+  });
+
+  assert.equal(enterprise.contactPosition, 'HR manager');
+});
+
+test('create prefers contactPosition over position', async () => {
+  const { enterprise } = await enterpriseService.create({
+    username: 'globex',
+    password: 'Passw0rd!x',
+    enterpriseData: { name: 'Globex', position: 'Old', contactPosition: 'Recruiter' }
+  });
+
+  assert.equal(enterprise.contactPosition, 'Recruiter');
+});
+
+test('create keeps no enterprise when the account cannot be created', async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Auth, 'hashPassword', async () => {
+    throw new Error('Hashing failed');
+  });
+
+  await assert.rejects(enterpriseService.create({
+    username: 'initech',
+    password: 'Passw0rd!x',
+    enterpriseData: { name: 'Initech' }
+  }), /Hashing failed/);
+
+  assert.equal(await Enterprise.count({ where: { name: 'Initech' } }), 0);
+  assert.equal(await User.count({ where: { username: 'initech' } }), 0);
+});
@@ -0,0 +1,62 @@
+// Shared setup of the tests. Each test file runs in its own process, so each gets a
+// fresh in-memory database; require this file before anything that loads the models.
+process.env.DB_STORAGE = ':memory:';
+
+const sequelize = require('../src/config/database');
+const Auth = require('../src/apis/auth');
+const Permissions = require('../src/apis/permissions');
+const { Enterprise, StandQueue, User } = require('../src/models');
+
+sequelize.options.logging = false;
+
+// Creates the schema and the role permissions, as server.js does at startup
+async function setupDatabase() {
+  await sequelize.sync();
+  await Permissions.syncRegistry();
+}
+
+let counter = 0;
+
+async function createUser(role = 'Participant', fields = {}) {
+  counter++;
+  const username = fields.username || `${role.toLowerCase()}${counter}`;
+  const userId = await Auth.register(username, 'Passw0rd!x', role, {
+    email: `${username}@example.test`,
+    enterpriseId: fields.enterpriseId
+  });
+  return User.findByPk(userId);
+}
+
+async function createStand(settings = {}) {
+  counter++;
+  const enterprise = await Enterprise.create({ name: `Enterprise ${counter}` });
+  const standQueue = await StandQueue.create({ enterpriseId: enterprise.id, ...settings });
+  return { enterprise, standQueue };
+}
+
+// Session cookie header of a user logged in with the test password
+async function login(user) {
+  const { sessionCookie } = await Auth.login(user.username, 'Passw0rd!x', { ipAddress: '127.0.0.1' });
+  return `${sessionCookie.name}=${sessionCookie.value}`;
+}
+
+// Starts the app on a free port; call close() when done
+async function startApp() {
+  const app = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  sequelize,
+  setupDatabase,
+  createUser,
+  createStand,
+  login,
+  startApp
+};
@@ -0,0 +1,138 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser, createStand } = require('./helpers');
+const { StandQueue, QueueEntry } = require('../src/models');
+const queueConfig = require('../src/config/queue');
+const queueEvents = require('../src/services/queueEvents');
+const queuePositions = require('../src/services/queuePositions');
+const queueService = require('../src/services/queueService');
+
+before(async () => {
+  await setupDatabase();
+});
+
+test('join adds a waiting entry and refuses a second one at the same stand', async () => {
+  const { enterprise, standQueue } = await createStand();
+  const participant = await createUser();
+
+  const entry = await queueService.join(participant.id, enterprise.id);
+
+  assert.equal(entry.status, 'Waiting');
+  assert.equal(entry.standQueueId, standQueue.id);
+  await assert.rejects(queueService.join(participant.id, enterprise.id), { status: 400, message: 'You are already in this queue' });
+});
+
+test('join refuses a closed or full stand', async () => {
+  const { enterprise: closed } = await createStand({ status: 'Closed' });
+  const { enterprise: full } = await createStand({ maxWaiting: 1 });
+  const participant = await createUser();
+
+  await assert.rejects(queueService.join(participant.id, closed.id), { status: 400 });
+  await queueService.join(participant.id, full.id);
+  await assert.rejects(queueService.join((await createUser()).id, full.id), { status: 400, message: 'This stand queue is full' });
+});
+
+test('callNext starts the first in line and stops at maxConcurrent', async () => {
+  const { enterprise, standQueue } = await createStand({ maxConcurrent: 1 });
+  const first = await createUser();
+  const second = await createUser();
+  const firstEntry = await queueService.join(first.id, enterprise.id);
+  await queueService.join(second.id, enterprise.id);
+
+  const called = await queueService.callNext(standQueue.id);
+
+  assert.equal(called.id, firstEntry.id);
+  assert.equal(called.status, 'Active');
+  assert.ok(called.calledAt);
+  assert.equal((await StandQueue.findByPk(standQueue.id)).currentParticipants, 1);
+  await assert.rejects(queueService.callNext(standQueue.id), { status: 409 });
+});
+
+test('callNext with nobody waiting is a 404', async () => {
+  const { standQueue } = await createStand();
+
+  await assert.rejects(queueService.callNext(standQueue.id), { status: 404 });
+});
+
+test('skip sends a called participant to the back of the line', async () => {
+  const { enterprise, standQueue } = await createStand({ maxConcurrent: 1 });
+  const first = await createUser();
+  const second = await createUser();
+  const firstEntry = await queueService.join(first.id, enterprise.id);
+  const secondEntry = await queueService.join(second.id, enterprise.id);
+  await queueService.callNext(standQueue.id);
+
+  const { entry } = await queueService.skip(firstEntry.id, { standQueueId: standQueue.id });
+
+  assert.equal(entry.status, 'Waiting');
+  assert.equal(entry.skipCount, 1);
+  assert.equal(entry.calledAt, null);
+  assert.equal((await StandQueue.findByPk(standQueue.id)).currentParticipants, 0);
+  assert.equal((await queueService.callNext(standQueue.id)).id, secondEntry.id);
+});
+
+test('skip only moves entries of the given stand', async () => {
+  const { enterprise } = await createStand();
+  const { standQueue: other } = await createStand();
+  const entry = await queueService.join((await createUser()).id, enterprise.id);
+
+  await assert.rejects(queueService.skip(entry.id, { standQueueId: other.id }), { status: 404 });
+});
+
+test('markNoShow frees the spot and blocks a participant after repeated no-shows', async (t) => {
+  const { noShowBlockThreshold } = queueConfig;
+  queueConfig.noShowBlockThreshold = 2;
+  t.after(() => {
+    queueConfig.noShowBlockThreshold = noShowBlockThreshold;
+  });
+
+  const participant = await createUser();
+  for (let i = 0; i < 2; i++) {
+    const { enterprise, standQueue } = await createStand();
+    const joined = await queueService.join(participant.id, enterprise.id);
+    await queueService.callNext(standQueue.id);
+
+    const { entry } = await queueService.markNoShow(joined.id, { standQueueId: standQueue.id });
+
+    assert.equal(entry.status, 'NoShow');
+    assert.equal((await StandQueue.findByPk(standQueue.id)).currentParticipants, 0);
+  }
+
+  await participant.reload();
+  assert.equal(participant.noShowCount, 2);
+  assert.ok(participant.queueBlockedUntil > new Date());
+  const { enterprise } = await createStand();
+  await assert.rejects(queueService.join(participant.id, enterprise.id), { status: 403 });
+});
+
+test('markNoShow refuses an entry that was never called', async () => {
+  const { enterprise, standQueue } = await createStand();
+  const entry = await queueService.join((await createUser()).id, enterprise.id);
+
+  await assert.rejects(queueService.markNoShow(entry.id, { standQueueId: standQueue.id }), { status: 409 });
+  assert.equal((await QueueEntry.findByPk(entry.id)).status, 'Waiting');
+});
+
+test('positions are only computed while someone listens to the queue events', async (t) => {
+  t.after(() => mock.restoreAll());
+  const forStand = mock.method(queuePositions, 'forStand');
+  const { enterprise, standQueue } = await createStand();
+
+  await queueService.join((await createUser()).id, enterprise.id);
+  assert.equal(forStand.mock.callCount(), 0);
+
+  const positions = new Promise(resolve => {
+    const listener = (event) => {
+      if (event.type === 'queue.positions') {
+        queueEvents.off('event', listener);
+        resolve(event);
+      }
+    };
+    queueEvents.on('event', listener);
+  });
+  await queueService.join((await createUser()).id, enterprise.id);
+
+  const event = await positions;
+  assert.equal(event.standQueueId, standQueue.id);
+  assert.equal(event.waitingCount, 2);
+});
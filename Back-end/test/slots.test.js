@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser, createStand, login, startApp } = require('./helpers');
+const slotService = require('../src/services/slotService');
+
+const HOUR = 60 * 60 * 1000;
+
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+function inHours(hours) {
+  return new Date(Date.now() + hours * HOUR);
+}
+
+test('book rejects a slot overlapping another booking of the participant', async () => {
+  const { enterprise: first } = await createStand();
+  const { enterprise: second } = await createStand();
+  const participant = await createUser();
+
+  const booked = await slotService.create(first.id, { startsAt: inHours(2), durationMinutes: 30 });
+  const overlapping = await slotService.create(second.id, { startsAt: new Date(booked.startsAt.getTime() + 15 * 60 * 1000), durationMinutes: 30 });
+  const adjacent = await slotService.create(second.id, { startsAt: new Date(booked.startsAt.getTime() + 30 * 60 * 1000), durationMinutes: 30 });
+
+  await slotService.book(participant.id, booked.id);
+
+  await assert.rejects(slotService.book(participant.id, overlapping.id), { status: 409, message: /overlaps your booking/ });
+  // A slot starting when the other ends doesn't overlap it
+  await slotService.book(participant.id, adjacent.id);
+});
+
+test('book rejects a second booking of the same slot and a full slot', async () => {
+  const { enterprise } = await createStand();
+  const participant = await createUser();
+  const other = await createUser();
+  const slot = await slotService.create(enterprise.id, { startsAt: inHours(5), durationMinutes: 15, capacity: 1 });
+
+  await slotService.book(participant.id, slot.id);
+
+  await assert.rejects(slotService.book(participant.id, slot.id), { status: 409 });
+  await assert.rejects(slotService.book(other.id, slot.id), { status: 409, message: /fully booked/ });
+});
+
+test('GET /api/slots requires the slots:read permission', async () => {
+  const participant = await createUser();
+
+  const anonymous = await fetch(`${app.url}/api/slots`);
+  assert.equal(anonymous.status, 401);
+
+  const response = await fetch(`${app.url}/api/slots`, {
+    headers: { Cookie: await login(participant) }
+  });
+  assert.equal(response.status, 200);
+});
+
+test('POST /api/slots rejects an Enterprise account with no enterprise linked', async () => {
+  const user = await createUser('Enterprise');
+
+  const response = await fetch(`${app.url}/api/slots`, {
+    method: 'POST',
+    headers: { Cookie: await login(user), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ startsAt: inHours(1).toISOString(), durationMinutes: 15 })
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, 'No enterprise linked to this account');
+});
@@ -0,0 +1,80 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser } = require('./helpers');
+const Auth = require('../src/apis/auth');
+const TwoFactor = require('../src/apis/twoFactor');
+const totp = require('../src/apis/totp');
+const { Session } = require('../src/models');
+
+// Middle of a 30 second step a minute ahead: the step can't change while a test runs,
+// and the codes used at enrollment are older
+const STEP = Math.floor(Date.now() / 1000 / 30) + 2;
+const NOW = STEP * 30 * 1000 + 15 * 1000;
+
+before(async () => {
+  await setupDatabase();
+});
+
+test('generateCode matches the RFC 6238 test vector', () => {
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  // 59 seconds after the epoch, truncated to 6 digits
+  assert.equal(totp.generateCode(secret, 1), '287082');
+});
+
+test('verifyCode accepts codes one step either side of now', (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(Date, 'now', () => NOW);
+  const secret = totp.generateSecret();
+
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, STEP)), STEP);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, STEP - 1)), STEP - 1);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, STEP + 1)), STEP + 1);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, STEP - 2)), null);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, STEP + 2)), null);
+  assert.equal(totp.verifyCode(secret, 'abcdef'), null);
+});
+
+test('checkCode refuses a code that was already used, or an older one', async (t) => {
+  t.after(() => mock.restoreAll());
+  const user = await createUser('Admin');
+  const { secret } = await TwoFactor.setup(user.id);
+  await TwoFactor.enable(user.id, totp.generateCode(secret));
+  await user.reload();
+
+  mock.method(Date, 'now', () => NOW);
+  const code = totp.generateCode(secret, STEP);
+
+  assert.equal(await TwoFactor.checkCode(user, { code }), true);
+  assert.equal(await TwoFactor.checkCode(user, { code }), false);
+  assert.equal(await TwoFactor.checkCode(user, { code: totp.generateCode(secret, STEP - 1) }), false);
+  assert.equal(await TwoFactor.checkCode(user, { code: totp.generateCode(secret, STEP + 1) }), true);
+});
+
+test('backup codes work once', async () => {
+  const user = await createUser('Admin');
+  const { secret } = await TwoFactor.setup(user.id);
+  const [backupCode] = await TwoFactor.enable(user.id, totp.generateCode(secret));
+  await user.reload();
+
+  assert.equal(await TwoFactor.checkCode(user, { backupCode }), true);
+  assert.equal(await TwoFactor.checkCode(user, { backupCode }), false);
+});
+
+test('promoting a user without two-factor to Admin ends their sessions', async () => {
+  const user = await createUser('Organizer');
+  await Auth.login(user.username, 'Passw0rd!x', { ipAddress: '127.0.0.1' });
+
+  await Auth.changeUserRole(user.id, 'Admin');
+
+  assert.equal(await Session.count({ where: { userId: user.id } }), 0);
+});
+
+test('changing to a role without two-factor keeps the sessions', async () => {
+  const user = await createUser('Admin');
+  await Auth.login(user.username, 'Passw0rd!x', { ipAddress: '127.0.0.1' });
+
+  await Auth.changeUserRole(user.id, 'Organizer');
+
+  assert.equal(await Session.count({ where: { userId: user.id } }), 1);
+});